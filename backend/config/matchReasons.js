@@ -0,0 +1,20 @@
+// Reason taxonomy for match results. Edit these lists to change which
+// reasons can be recorded; keys are stored on matches, labels are for display.
+module.exports = {
+  Loss: {
+    bricked: 'Bricked',
+    'hand-trapped': 'Hand-trapped',
+    misplay: 'Misplay',
+    outplayed: 'Outplayed',
+    disconnect: 'Disconnect',
+    surrender: 'Surrender'
+  },
+  Win: {
+    'opponent-bricked': 'Opponent bricked',
+    'interrupted': 'Interrupted their combo',
+    'opponent-misplay': 'Opponent misplay',
+    outplayed: 'Outplayed opponent',
+    'opponent-disconnect': 'Opponent disconnected',
+    'opponent-surrender': 'Opponent surrendered'
+  }
+};
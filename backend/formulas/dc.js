@@ -0,0 +1,11 @@
+// Duelist Cup: +1 per win, -1 per loss (-0.5 while below 15 points)
+module.exports = {
+  label: 'Duelist Cup',
+  startPoints: 0,
+  calculate({ match, pointsBefore }) {
+    if (match.result === 'Win') {
+      return pointsBefore + 1;
+    }
+    return pointsBefore < 15 ? pointsBefore - 0.5 : pointsBefore - 1;
+  }
+};
@@ -0,0 +1,118 @@
+// Points formula registry
+//
+// A formula is an object with a `calculate(context)` function returning the
+// points after a match. The context contains:
+//   match        - the match being scored
+//   pointsBefore - points carried over from the previous match
+//   history      - matches played earlier in the session (oldest first)
+//   index        - position of the match in the session
+//   session      - the owning session
+//
+// `calculate` may return a number, or `{ points, rank }` for formulas that
+// track a ladder position alongside the points; `rank` is stored on the match.
+//
+// Formulas may also declare `label`, `startPoints` and `describe(points)`,
+// which turns a points value into a display rank (used for custom point
+// overrides, session stats and the leaderboard). Ladder formulas add
+// `ranks`, `encode(rank)` for the points of a { tier, level, pips } rank and
+// `validateRank(rank)`, which returns an error message for ranks the ladder
+// doesn't have (check before encoding user input). New formulas are added with
+// registerFormula() and become valid `Session.pointsFormula` values without
+// any route changes.
+
+const formulas = new Map();
+
+const registerFormula = (name, definition) => {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Formula name must be a non-empty string');
+  }
+  if (!definition || typeof definition.calculate !== 'function') {
+    throw new Error(`Formula "${name}" must provide a calculate function`);
+  }
+  if (formulas.has(name)) {
+    throw new Error(`Formula "${name}" is already registered`);
+  }
+
+  formulas.set(name, {
+    ...definition,
+    name,
+    label: definition.label || name,
+    startPoints: definition.startPoints ?? 0
+  });
+};
+
+const hasFormula = (name) => formulas.has(name);
+
+const getFormula = (name) => {
+  const formula = formulas.get(name);
+  if (!formula) {
+    throw new Error(`Unknown points formula "${name}"`);
+  }
+  return formula;
+};
+
+const listFormulas = () => Array.from(formulas.values()).map(formula => ({
+  name: formula.name,
+  label: formula.label,
+  startPoints: formula.startPoints,
+  ...(formula.ranks && { ranks: formula.ranks })
+}));
+
+// Display rank for a points value, or null for purely numeric formulas
+const describePoints = (name, points) => {
+  const formula = formulas.get(name);
+  return formula && formula.describe ? formula.describe(points) : null;
+};
+
+// Recalculate pointsBefore/pointsAfter for every match from `fromIndex` on.
+// `matches` must be the session's matches in play order. Matches with a
+// customPointsAfter override keep it, and the chain continues from the
+// overridden value.
+const recalculatePoints = (session, matches, fromIndex = 0) => {
+  const formula = getFormula(session.pointsFormula);
+
+  for (let i = Math.max(fromIndex, 0); i < matches.length; i++) {
+    const match = matches[i];
+    const pointsBefore = i === 0 ? session.pointsStart : matches[i - 1].pointsAfter;
+
+    match.pointsBefore = pointsBefore;
+
+    if (match.customPointsAfter !== undefined && match.customPointsAfter !== null) {
+      match.pointsAfter = match.customPointsAfter;
+      if (formula.describe) {
+        match.rank = formula.describe(match.customPointsAfter);
+      }
+      continue;
+    }
+
+    const outcome = formula.calculate({
+      match,
+      pointsBefore,
+      history: matches.slice(0, i),
+      index: i,
+      session
+    });
+
+    if (typeof outcome === 'number') {
+      match.pointsAfter = outcome;
+    } else {
+      match.pointsAfter = outcome.points;
+      match.rank = outcome.rank;
+    }
+  }
+
+  return matches;
+};
+
+registerFormula('rated', require('./rated'));
+registerFormula('dc', require('./dc'));
+registerFormula('ranked', require('./ranked'));
+
+module.exports = {
+  registerFormula,
+  hasFormula,
+  getFormula,
+  listFormulas,
+  describePoints,
+  recalculatePoints
+};
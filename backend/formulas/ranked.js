@@ -0,0 +1,133 @@
+// Master Duel ranked ladder
+//
+// Ranks run Rookie -> Bronze -> Silver -> Gold -> Platinum -> Diamond -> Master,
+// each with levels 5 (lowest) to 1. Wins fill pips; a full set of pips promotes
+// to the next level, and level 1 promotes to level 5 of the next rank.
+//
+// Protection rules:
+//   - Rookie and Bronze never lose pips.
+//   - Silver loses pips but never drops a level.
+//   - Gold and above drop a level when losing with no pips.
+//   - Level 5 is the floor of every rank: nobody is demoted out of a rank.
+//   - The first match after a promotion is protected: a loss costs nothing.
+//
+// The ladder position is stored as a sortable number
+// (rank * 100 + (5 - level) * 10 + pips) in pointsBefore/pointsAfter, with the
+// decoded rank saved on each match.
+
+const RANKS = [
+  { name: 'Rookie', pipsPerLevel: 2, losesPips: false, demotes: false },
+  { name: 'Bronze', pipsPerLevel: 3, losesPips: false, demotes: false },
+  { name: 'Silver', pipsPerLevel: 4, losesPips: true, demotes: false },
+  { name: 'Gold', pipsPerLevel: 5, losesPips: true, demotes: true },
+  { name: 'Platinum', pipsPerLevel: 5, losesPips: true, demotes: true },
+  { name: 'Diamond', pipsPerLevel: 5, losesPips: true, demotes: true },
+  { name: 'Master', pipsPerLevel: 5, losesPips: true, demotes: true }
+];
+
+const LOWEST_LEVEL = 5;
+const HIGHEST_LEVEL = 1;
+
+const encode = ({ tier, level = LOWEST_LEVEL, pips = 0 }) => {
+  const rankIndex = Math.max(RANKS.findIndex(rank => rank.name === tier), 0);
+  return rankIndex * 100 + (LOWEST_LEVEL - level) * 10 + pips;
+};
+
+const label = ({ tier, level }) => `${tier} ${level}`;
+
+// Check a { tier, level, pips } rank against the ladder before encoding it:
+// returns an error message, or null for a rank that exists
+const validateRank = (rank) => {
+  const rankIndex = RANKS.findIndex(entry => rank && entry.name === rank.tier);
+  if (rankIndex === -1) {
+    return `Rank tier must be one of ${RANKS.map(entry => entry.name).join(', ')}`;
+  }
+
+  const { level = LOWEST_LEVEL, pips = 0 } = rank;
+  if (!Number.isInteger(level) || level < HIGHEST_LEVEL || level > LOWEST_LEVEL) {
+    return `Rank level must be a whole number from ${HIGHEST_LEVEL} to ${LOWEST_LEVEL}`;
+  }
+
+  // Full pips promote, except at the top of the ladder where they stay full
+  const { pipsPerLevel } = RANKS[rankIndex];
+  const top = rankIndex === RANKS.length - 1 && level === HIGHEST_LEVEL;
+  const maxPips = top ? pipsPerLevel : pipsPerLevel - 1;
+  if (!Number.isInteger(pips) || pips < 0 || pips > maxPips) {
+    return `${rank.tier} ${level} pips must be a whole number from 0 to ${maxPips}`;
+  }
+  return null;
+};
+
+const describe = (points) => {
+  const value = Math.max(Math.floor(points || 0), 0);
+  const rankIndex = Math.min(Math.floor(value / 100), RANKS.length - 1);
+  const level = Math.min(
+    Math.max(LOWEST_LEVEL - Math.floor((value % 100) / 10), HIGHEST_LEVEL),
+    LOWEST_LEVEL
+  );
+  const pips = Math.min(value % 10, RANKS[rankIndex].pipsPerLevel);
+  const rank = { tier: RANKS[rankIndex].name, level, pips, protected: false };
+
+  return { ...rank, label: label(rank) };
+};
+
+const applyResult = (current, result) => {
+  const rankIndex = RANKS.findIndex(rank => rank.name === current.tier);
+  const rules = RANKS[rankIndex];
+  const next = { tier: current.tier, level: current.level, pips: current.pips, protected: false };
+
+  if (result === 'Win') {
+    next.pips += 1;
+
+    if (next.pips >= rules.pipsPerLevel) {
+      if (next.level > HIGHEST_LEVEL) {
+        next.level -= 1;
+        next.pips = 0;
+        next.protected = true;
+      } else if (rankIndex < RANKS.length - 1) {
+        next.tier = RANKS[rankIndex + 1].name;
+        next.level = LOWEST_LEVEL;
+        next.pips = 0;
+        next.protected = true;
+      } else {
+        // Top of the ladder
+        next.pips = rules.pipsPerLevel;
+      }
+    }
+    return next;
+  }
+
+  if (!rules.losesPips || current.protected) {
+    return next;
+  }
+
+  if (next.pips > 0) {
+    next.pips -= 1;
+  } else if (rules.demotes && next.level < LOWEST_LEVEL) {
+    next.level += 1;
+  }
+
+  return next;
+};
+
+module.exports = {
+  label: 'Ranked Ladder',
+  startPoints: 0,
+  ranks: RANKS.map(rank => rank.name),
+  encode,
+  validateRank,
+  describe,
+  calculate({ match, pointsBefore, history }) {
+    const previous = history[history.length - 1];
+    const current = previous && previous.rank && previous.rank.tier
+      ? previous.rank
+      : describe(pointsBefore);
+
+    const next = applyResult(current, match.result);
+
+    return {
+      points: encode(next),
+      rank: { ...next, label: label(next) }
+    };
+  }
+};
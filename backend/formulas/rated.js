@@ -0,0 +1,8 @@
+// Rated ladder: flat +7 / -7 per match
+module.exports = {
+  label: 'Rated',
+  startPoints: 1500,
+  calculate({ match, pointsBefore }) {
+    return match.result === 'Win' ? pointsBefore + 7 : pointsBefore - 7;
+  }
+};
@@ -33,6 +33,15 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Same as auth, but also accepts the token as ?token= because browsers'
+// EventSource cannot send an Authorization header
+const streamAuth = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return auth(req, res, next);
+};
+
 const adminAuth = async (req, res, next) => {
   try {
     await auth(req, res, () => {});
@@ -53,4 +62,4 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth };
\ No newline at end of file
+module.exports = { auth, adminAuth, streamAuth };
\ No newline at end of file
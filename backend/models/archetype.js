@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { archetypeKey } = require('../utils/archetypes');
+
+// Canonical deck archetype. Deck and opponent names typed for matches are
+// matched against the name and aliases by key (case, spacing and punctuation
+// don't matter) and stored under the canonical name.
+const archetypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Archetype name is required'],
+    trim: true,
+    maxlength: [100, 'Archetype name cannot exceed 100 characters']
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot exceed 100 characters']
+  }],
+  icon: String,
+  // Lookup keys for the name and every alias, kept in sync on validate
+  keys: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+archetypeSchema.index({ keys: 1 }, { unique: true });
+
+archetypeSchema.pre('validate', function(next) {
+  this.aliases = [...new Set(this.aliases.filter(alias => alias && alias !== this.name))];
+  this.keys = [...new Set([this.name, ...this.aliases].map(archetypeKey).filter(Boolean))];
+
+  if (!archetypeKey(this.name)) {
+    this.invalidate('name', 'Archetype name must contain letters or digits');
+  }
+  next();
+});
+
+// Find the archetypes for a list of typed names: Map of name -> archetype
+archetypeSchema.statics.resolve = async function(names) {
+  const keys = [...new Set(names.filter(Boolean).map(archetypeKey).filter(Boolean))];
+  const resolved = new Map();
+  if (keys.length === 0) return resolved;
+
+  const archetypes = await this.find({ keys: { $in: keys } }).select('+keys');
+  const byKey = new Map();
+  archetypes.forEach(archetype => archetype.keys.forEach(key => byKey.set(key, archetype)));
+
+  names.forEach(name => {
+    const archetype = name && byKey.get(archetypeKey(name));
+    if (archetype) resolved.set(name, archetype);
+  });
+  return resolved;
+};
+
+// Canonical names for a list of typed names: Map of name -> canonical name.
+// Names without an archetype map to themselves, trimmed.
+archetypeSchema.statics.canonicalize = async function(names) {
+  const resolved = await this.resolve(names);
+  return new Map(names.filter(Boolean).map(name => [
+    name,
+    resolved.has(name) ? resolved.get(name).name : String(name).trim()
+  ]));
+};
+
+module.exports = mongoose.model('Archetype', archetypeSchema);
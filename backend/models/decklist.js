@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { rate, winRateInterval } = require('../utils/stats');
 
 const deckListSchema = new mongoose.Schema({
   user: {
@@ -24,12 +26,17 @@ const deckListSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Win rates are percentages (53.2 for 53.2%); turn order rates count games
   stats: {
     matches: { type: Number, default: 0 },
     wins: { type: Number, default: 0 },
-    overallWR: { type: String, default: '0%' },
-    wrGoing1st: { type: String, default: '0%' },
-    wrGoing2nd: { type: String, default: '0%' }
+    overallWR: { type: Number, default: 0 },
+    games1st: { type: Number, default: 0 },
+    wins1st: { type: Number, default: 0 },
+    wrGoing1st: { type: Number, default: 0 },
+    games2nd: { type: Number, default: 0 },
+    wins2nd: { type: Number, default: 0 },
+    wrGoing2nd: { type: Number, default: 0 }
   },
   format: {
     type: String,
@@ -37,40 +44,72 @@ const deckListSchema = new mongoose.Schema({
     default: 'masterduel'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
-// Update deck statistics
+// 95% Wilson intervals and sample sizes for the stored win rates
+deckListSchema.virtual('intervals').get(function() {
+  const stats = this.stats || {};
+  return {
+    overallWR: winRateInterval(stats.wins || 0, stats.matches || 0),
+    wrGoing1st: winRateInterval(stats.wins1st || 0, stats.games1st || 0),
+    wrGoing2nd: winRateInterval(stats.wins2nd || 0, stats.games2nd || 0)
+  };
+});
+
+// Update deck statistics from the user's matchup rollups
 deckListSchema.methods.updateStats = async function() {
-  const Session = mongoose.model('Session');
-  const sessions = await Session.find({ user: this.user, isActive: true });
-  
-  let matches = 0;
-  let wins = 0;
-  let matches1st = 0;
-  let wins1st = 0;
-  let matches2nd = 0;
-  let wins2nd = 0;
-  
-  sessions.forEach(session => {
-    const deckMatches = session.matches.filter(m => m.deck === this.name);
-    matches += deckMatches.length;
-    wins += deckMatches.filter(m => m.result === 'Win').length;
-    
-    const firstMatches = deckMatches.filter(m => m.turn === '1st');
-    matches1st += firstMatches.length;
-    wins1st += firstMatches.filter(m => m.result === 'Win').length;
-    
-    const secondMatches = deckMatches.filter(m => m.turn === '2nd');
-    matches2nd += secondMatches.length;
-    wins2nd += secondMatches.filter(m => m.result === 'Win').length;
-  });
-  
+  const Rollup = mongoose.model('Rollup');
+
+  const [totals = {}] = await Rollup.aggregate([
+    { $match: { user: this.user, kind: 'matchup', deck: this.name } },
+    {
+      $group: {
+        _id: null,
+        matches: { $sum: '$matches' },
+        wins: { $sum: '$wins' },
+        games1st: { $sum: '$games1st' },
+        wins1st: { $sum: '$wins1st' },
+        games2nd: { $sum: '$games2nd' },
+        wins2nd: { $sum: '$wins2nd' }
+      }
+    }
+  ]);
+  const { matches = 0, wins = 0, games1st = 0, wins1st = 0, games2nd = 0, wins2nd = 0 } = totals;
+
   this.stats.matches = matches;
   this.stats.wins = wins;
-  this.stats.overallWR = matches > 0 ? `${Math.round((wins / matches) * 1000) / 10}%` : '0%';
-  this.stats.wrGoing1st = matches1st > 0 ? `${Math.round((wins1st / matches1st) * 1000) / 10}%` : '0%';
-  this.stats.wrGoing2nd = matches2nd > 0 ? `${Math.round((wins2nd / matches2nd) * 1000) / 10}%` : '0%';
+  this.stats.overallWR = rate(wins, matches);
+  this.stats.games1st = games1st;
+  this.stats.wins1st = wins1st;
+  this.stats.wrGoing1st = rate(wins1st, games1st);
+  this.stats.games2nd = games2nd;
+  this.stats.wins2nd = wins2nd;
+  this.stats.wrGoing2nd = rate(wins2nd, games2nd);
 };
 
+// Win rates used to be stored as strings like "53.2%", which hydrate as
+// undefined now that they are numbers. Convert any left in the collection
+// (trashed decklists included); returns how many decklists changed.
+deckListSchema.statics.convertLegacyRates = async function() {
+  const fields = ['stats.overallWR', 'stats.wrGoing1st', 'stats.wrGoing2nd'];
+  const { modifiedCount } = await this.collection.updateMany(
+    { $or: fields.map(field => ({ [field]: { $type: 'string' } })) },
+    [{
+      $set: Object.fromEntries(fields.map(field => [field, {
+        $cond: [
+          { $eq: [{ $type: `$${field}` }, 'string'] },
+          { $convert: { input: { $trim: { input: `$${field}`, chars: '% ' } }, to: 'double', onError: 0 } },
+          `$${field}`
+        ]
+      }]))
+    }]
+  );
+  return modifiedCount;
+};
+
+deckListSchema.plugin(softDelete);
+
 module.exports = mongoose.model('DeckList', deckListSchema);
\ No newline at end of file
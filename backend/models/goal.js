@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { hasFormula, describePoints } = require('../formulas');
+
+// A target the user is playing toward, e.g. "Master 1 by the 25th" or "30k
+// DC points this weekend". A goal belongs to either a session or a season;
+// targets are stored in the formula's points scale (ladder ranks encoded).
+const goalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
+  formula: {
+    type: String,
+    required: true,
+    validate: {
+      validator: hasFormula,
+      message: props => `Unknown points formula "${props.value}"`
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Goal title cannot exceed 100 characters']
+  },
+  targetPoints: {
+    type: Number,
+    required: [true, 'Goal target is required']
+  },
+  // Points when the goal was set, the zero mark of the progress bar
+  startPoints: {
+    type: Number,
+    required: true
+  },
+  deadline: Date,
+  achievedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+goalSchema.index({ user: 1, createdAt: -1 });
+goalSchema.index({ session: 1 });
+
+goalSchema.pre('validate', function(next) {
+  if (Boolean(this.session) === Boolean(this.season)) {
+    this.invalidate('session', 'A goal belongs to either a session or a season');
+  }
+  next();
+});
+
+goalSchema.virtual('targetRank').get(function() {
+  return describePoints(this.formula, this.targetPoints);
+});
+
+// Progress toward the target from the points the player is at now
+goalSchema.methods.progressAt = function(currentPoints) {
+  const span = this.targetPoints - this.startPoints;
+  const done = currentPoints - this.startPoints;
+  const progress = span > 0 ? Math.min(Math.max(done / span, 0), 1) : 1;
+
+  return {
+    goal: this._id,
+    title: this.title,
+    targetPoints: this.targetPoints,
+    targetRank: this.targetRank,
+    currentPoints,
+    remaining: Math.max(this.targetPoints - currentPoints, 0),
+    progress: Math.round(progress * 1000) / 10,
+    achieved: Boolean(this.achievedAt) || currentPoints >= this.targetPoints,
+    deadline: this.deadline
+  };
+};
+
+module.exports = mongoose.model('Goal', goalSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Remembers Idempotency-Key headers on match creation so a retried request
+// returns the original match instead of logging the game twice
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  // Set once the original request has finished
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 // keys are kept for 24 hours
+  }
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
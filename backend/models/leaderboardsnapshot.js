@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One player's place on one formula's leaderboard (all time, or a running
+// season) on one day (UTC). Taken periodically by utils/snapshots; the
+// current day's entries are overwritten until the day is over.
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  formula: {
+    type: String,
+    required: true
+  },
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
+  day: {
+    type: Date,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rank: {
+    type: Number,
+    required: true
+  },
+  // Players on the board that day
+  players: {
+    type: Number,
+    required: true
+  },
+  points: Number,
+  matches: Number,
+  wins: Number
+});
+
+leaderboardSnapshotSchema.index({ formula: 1, season: 1, day: 1, user: 1 }, { unique: true });
+leaderboardSnapshotSchema.index({ user: 1, formula: 1, season: 1, day: 1 });
+
+module.exports = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { recalculatePoints } = require('../formulas');
+const matchReasons = require('../config/matchReasons');
+const { MAX_GAMES, deriveSeries } = require('../utils/games');
+const { ROLLUP_FIELDS, markChanged, markMatches, updatedFields } = require('../utils/rollups');
+
+// One game of a best-of-three match
+const gameSchema = new mongoose.Schema({
+  turn: {
+    type: String,
+    enum: ['1st', '2nd'],
+    required: true
+  },
+  result: {
+    type: String,
+    enum: ['Win', 'Loss'],
+    required: true
+  },
+  sideNotes: String
+}, {
+  _id: false
+});
+
+const matchSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deck: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  opp: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  result: {
+    type: String,
+    enum: ['Win', 'Loss'],
+    required: true
+  },
+  turn: {
+    type: String,
+    enum: ['1st', '2nd'],
+    required: true
+  },
+  pointsBefore: {
+    type: Number,
+    required: true
+  },
+  pointsAfter: {
+    type: Number,
+    required: true
+  },
+  customPointsAfter: Number,
+  // Ladder position after the match, for formulas that track ranks
+  rank: {
+    tier: String,
+    level: Number,
+    pips: Number,
+    protected: Boolean,
+    label: String
+  },
+  // Optional game details
+  coinToss: {
+    type: String,
+    enum: ['Won', 'Lost']
+  },
+  // Turn order picked after winning the coin toss
+  chosenTurn: {
+    type: String,
+    enum: ['1st', '2nd']
+  },
+  format: {
+    type: String,
+    enum: ['Bo1', 'Bo3']
+  },
+  // Individual games of a Bo3; result and turn are derived from them
+  games: {
+    type: [gameSchema],
+    default: undefined,
+    validate: {
+      validator: games => games.length <= MAX_GAMES,
+      message: `A match cannot have more than ${MAX_GAMES} games`
+    }
+  },
+  duration: {
+    type: Number, // seconds
+    min: [0, 'Duration cannot be negative']
+  },
+  reason: {
+    type: String,
+    validate: {
+      validator: function(value) {
+        return Boolean(matchReasons[this.result] && matchReasons[this.result][value]);
+      },
+      message: props => `"${props.value}" is not a valid reason for this result`
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Season the match was played in, assigned from createdAt on save
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
+  notes: String
+});
+
+// Keep the coin toss fields consistent: a chosen turn implies the toss was
+// won, and only the toss winner chooses
+matchSchema.pre('validate', function(next) {
+  if (this.chosenTurn && !this.coinToss) {
+    this.coinToss = 'Won';
+  }
+  if (this.coinToss === 'Won' && !this.chosenTurn) {
+    this.chosenTurn = this.turn;
+  }
+  if (this.coinToss === 'Lost') {
+    this.chosenTurn = undefined;
+  }
+  next();
+});
+
+// Derive a Bo3 match's result and turn (game 1) from its games
+matchSchema.pre('validate', function(next) {
+  if (!this.games || this.games.length === 0) return next();
+
+  const series = deriveSeries(this.games);
+  if (series.error) {
+    this.invalidate('games', series.error);
+    return next();
+  }
+
+  this.format = 'Bo3';
+  this.result = series.result;
+  this.turn = series.turn;
+  next();
+});
+
+// Assign the season by timestamp (also runs for bulkSave)
+matchSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('createdAt')) return;
+
+  const season = await mongoose.model('Season').forDate(this.createdAt);
+  this.season = season ? season._id : undefined;
+});
+
+// Remember the day a loaded match counts on, so moving it re-counts that day
+matchSchema.post('init', function() {
+  this.$locals.countedOn = { user: this.user, createdAt: this.createdAt };
+});
+
+// Mark the rollup days a write changes; Session.updateUserStats rebuilds them
+matchSchema.pre('save', async function() {
+  if (!this.isNew && !ROLLUP_FIELDS.some(field => this.isModified(field))) return;
+
+  const { countedOn } = this.$locals;
+  await markChanged([
+    ...(countedOn ? [{ user: countedOn.user, date: countedOn.createdAt }] : []),
+    { user: this.user, date: this.createdAt }
+  ]);
+  this.$locals.countedOn = { user: this.user, createdAt: this.createdAt };
+});
+
+matchSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], async function() {
+  const update = this.getUpdate();
+  const fields = update && updatedFields(update);
+  if (fields && !fields.some(field => ROLLUP_FIELDS.includes(field))) return;
+
+  await markMatches(this.cast(this.model, { ...this.getFilter() }));
+});
+
+// Play order within a session
+const PLAY_ORDER = { createdAt: 1, _id: 1 };
+
+matchSchema.index({ session: 1, createdAt: 1, _id: 1 });
+matchSchema.index({ user: 1, createdAt: -1, _id: -1 });
+matchSchema.index({ user: 1, deck: 1 });
+matchSchema.index({ user: 1, opp: 1 });
+matchSchema.index({ season: 1, user: 1 });
+
+// Get a session's matches in play order
+matchSchema.statics.findForSession = function(sessionId) {
+  return this.find({ session: sessionId }).sort(PLAY_ORDER);
+};
+
+// Persist new and modified matches in a single round trip
+matchSchema.statics.saveChanged = async function(matches) {
+  const changed = matches.filter(match => match.isNew || match.isModified());
+  if (changed.length > 0) {
+    await this.bulkSave(changed);
+  }
+  return changed.length;
+};
+
+// Reload a session's matches, rerun the points chain from `fromIndex` and
+// save whatever changed
+matchSchema.statics.recalculateSession = async function(session, fromIndex = 0) {
+  const matches = await this.findForSession(session._id);
+  recalculatePoints(session, matches, fromIndex);
+  await this.saveChanged(matches);
+  return matches;
+};
+
+matchSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Match', matchSchema);
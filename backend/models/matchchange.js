@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One entry in a session's match change log. Entries are undone newest
+// first and redone oldest first; recording a new change discards whatever
+// was still waiting to be redone.
+const matchChangeSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'import', 'restore', 'update', 'delete', 'clear'],
+    required: true
+  },
+  matches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match'
+  }],
+  // Edited fields only (update): values before and after the edit
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['applied', 'undone', 'discarded'],
+    default: 'applied'
+  },
+  revertedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+matchChangeSchema.index({ session: 1, status: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('MatchChange', matchChangeSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A day (UTC, 'YYYY-MM-DD') of one user's matches whose rollups are out of
+// date. Marked by the Match and Session write hooks and cleared once
+// utils/rollups has rebuilt the day; kept in the database so marks survive
+// restarts and every server process sees them.
+const pendingDaySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  day: {
+    type: String,
+    required: true
+  },
+  // Bumped by every new mark, so a rebuild only clears the marks it saw
+  markedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+pendingDaySchema.index({ user: 1, day: 1 }, { unique: true });
+pendingDaySchema.index({ markedAt: 1 });
+
+module.exports = mongoose.model('PendingDay', pendingDaySchema);
@@ -0,0 +1,44 @@
+// Soft delete plugin
+//
+// Adds a `deletedAt` timestamp. Reads and aggregations that don't mention
+// `deletedAt` only see live documents, so trashed data drops out of every
+// listing and statistic without each query having to remember it. Query
+// `deletedAt` explicitly (e.g. { deletedAt: { $ne: null } }) to reach the
+// trash.
+
+const READ_OPERATIONS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    }
+  });
+
+  const excludeDeleted = function() {
+    if (this.getFilter().deletedAt === undefined) {
+      this.where({ deletedAt: null });
+    }
+  };
+
+  READ_OPERATIONS.forEach(operation => schema.pre(operation, excludeDeleted));
+
+  schema.pre('aggregate', function() {
+    const [first] = this.pipeline();
+    if (!(first && first.$match && 'deletedAt' in first.$match)) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.softDelete = function() {
+    this.deletedAt = new Date();
+    return this.save();
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    return this.save();
+  };
+};
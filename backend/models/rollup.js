@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Totals of one user's matches on one day (UTC), from active sessions only.
+// 'matchup' rollups cover one deck against one opponent, 'formula' rollups
+// one points formula within one season, and the 'day' rollup the whole day
+// with what streaks need. Maintained by utils/rollups.
+const rollupSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  day: {
+    type: Date,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['day', 'matchup', 'formula'],
+    required: true
+  },
+  deck: String,
+  opp: String,
+  formula: String,
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
+  matches: { type: Number, default: 0 },
+  wins: { type: Number, default: 0 },
+  // Turn order counters are per game so Bo3 matches count every game
+  games1st: { type: Number, default: 0 },
+  wins1st: { type: Number, default: 0 },
+  games2nd: { type: Number, default: 0 },
+  wins2nd: { type: Number, default: 0 },
+  // Day rollups only: win runs at the start, at the end and longest, in play
+  // order
+  leadingWins: Number,
+  trailingWins: Number,
+  longestWin: Number,
+  // Formula rollups only: points after the day's last match and its best
+  lastPoints: Number,
+  peakPoints: Number,
+  lastPlayedAt: Date,
+  refreshedAt: Date
+});
+
+rollupSchema.index({ user: 1, kind: 1, day: 1, deck: 1, opp: 1, formula: 1, season: 1 }, { unique: true });
+rollupSchema.index({ user: 1, kind: 1, deck: 1 });
+
+module.exports = mongoose.model('Rollup', rollupSchema);
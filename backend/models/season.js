@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { hasFormula, getFormula } = require('../formulas');
+const { applyAllPending } = require('../utils/rollups');
+const { bumpRevisions } = require('../utils/sessionWrite');
+
+const CACHE_MS = 60 * 1000;
+let cachedSeasons = null;
+let cachedAt = 0;
+
+// A ranked season. Matches are assigned to the season whose date range
+// contains their createdAt; when a season ends its standings are archived
+// (see utils/seasons.js) and archivedAt is set.
+const seasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Season name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Season name cannot exceed 50 characters']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Season start date is required']
+  },
+  // Exclusive: the first moment after the season
+  endsAt: {
+    type: Date,
+    required: [true, 'Season end date is required']
+  },
+  // Starting points per formula name; formulas not listed use their default
+  startPoints: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  archivedAt: Date
+}, {
+  timestamps: true
+});
+
+seasonSchema.index({ startsAt: 1, endsAt: 1 });
+
+seasonSchema.pre('validate', async function() {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'Season must end after it starts');
+    return;
+  }
+
+  for (const formula of this.startPoints.keys()) {
+    if (!hasFormula(formula)) {
+      this.invalidate('startPoints', `Unknown points formula "${formula}"`);
+    }
+  }
+
+  if (this.isModified('startsAt') || this.isModified('endsAt')) {
+    const overlapping = await this.constructor.findOne({
+      _id: { $ne: this._id },
+      startsAt: { $lt: this.endsAt },
+      endsAt: { $gt: this.startsAt }
+    });
+    if (overlapping) {
+      this.invalidate('startsAt', `Season overlaps with ${overlapping.name}`);
+    }
+  }
+});
+
+seasonSchema.post('save', () => {
+  cachedSeasons = null;
+});
+
+seasonSchema.post('findOneAndDelete', () => {
+  cachedSeasons = null;
+});
+
+// Starting points for a formula in this season
+seasonSchema.methods.startPointsFor = function(formula) {
+  return this.startPoints.get(formula) ?? getFormula(formula).startPoints;
+};
+
+seasonSchema.methods.isArchived = function() {
+  return Boolean(this.archivedAt);
+};
+
+// Season containing `date`, or null. Seasons are few and rarely change, so
+// lookups (one per saved match) are served from a short-lived cache.
+seasonSchema.statics.forDate = async function(date = new Date()) {
+  if (!cachedSeasons || Date.now() - cachedAt > CACHE_MS) {
+    cachedSeasons = await this.find().sort({ startsAt: 1 });
+    cachedAt = Date.now();
+  }
+  const time = new Date(date).getTime();
+  return cachedSeasons.find(season =>
+    season.startsAt.getTime() <= time && time < season.endsAt.getTime()
+  ) || null;
+};
+
+// Point every match played during the season at it, and release matches
+// that fell outside after the dates changed
+seasonSchema.statics.assignMatches = async function(season) {
+  const Match = mongoose.model('Match');
+  const inRange = { $gte: season.startsAt, $lt: season.endsAt };
+  const toAssign = { createdAt: inRange, season: { $ne: season._id } };
+  const toRelease = { season: season._id, createdAt: { $not: inRange } };
+  const sessionIds = await Match.distinct('session', { $or: [toAssign, toRelease] });
+
+  const [assigned, released] = await Promise.all([
+    Match.updateMany(toAssign, { season: season._id }),
+    Match.updateMany(toRelease, { $unset: { season: 1 } })
+  ]);
+  await bumpRevisions(sessionIds);
+
+  // Season standings follow the matches that moved
+  await applyAllPending();
+
+  return {
+    assigned: assigned.modifiedCount,
+    released: released.modifiedCount
+  };
+};
+
+module.exports = mongoose.model('Season', seasonSchema);
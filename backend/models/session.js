@@ -1,41 +1,10 @@
 const mongoose = require('mongoose');
-
-const matchSchema = new mongoose.Schema({
-  deck: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  opp: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  result: {
-    type: String,
-    enum: ['Win', 'Loss'],
-    required: true
-  },
-  turn: {
-    type: String,
-    enum: ['1st', '2nd'],
-    required: true
-  },
-  pointsBefore: {
-    type: Number,
-    required: true
-  },
-  pointsAfter: {
-    type: Number,
-    required: true
-  },
-  customPointsAfter: Number,
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  notes: String
-});
+const softDelete = require('./plugins/softDelete');
+const { hasFormula, getFormula, describePoints } = require('../formulas');
+const { gamesOf } = require('../utils/games');
+const { rate, winRateInterval } = require('../utils/stats');
+const { updatedFields, markMatches, applyPending, summarizeDays } = require('../utils/rollups');
+const { refreshStandings } = require('../utils/standings');
 
 const sessionSchema = new mongoose.Schema({
   user: {
@@ -49,19 +18,23 @@ const sessionSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Session name cannot exceed 100 characters']
   },
-  matches: [matchSchema],
   decks: [{
     type: String,
     trim: true
   }],
   pointsFormula: {
     type: String,
-    enum: ['rated', 'dc'],
-    default: 'rated'
+    default: 'rated',
+    validate: {
+      validator: hasFormula,
+      message: props => `Unknown points formula "${props.value}"`
+    }
   },
   pointsStart: {
     type: Number,
-    default: 1500
+    default: function() {
+      return hasFormula(this.pointsFormula) ? getFormula(this.pointsFormula).startPoints : 0;
+    }
   },
   defaultDeck: String,
   isActive: {
@@ -69,26 +42,60 @@ const sessionSchema = new mongoose.Schema({
     default: true
   },
   tags: [String],
-  description: String
+  description: String,
+  // Bumped on every change to the session or its matches; see utils/sessionWrite
+  revision: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    select: false
+  }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
-// Calculate session statistics
+// Matches live in their own collection; populate('matches') loads them in
+// play order
+sessionSchema.virtual('matches', {
+  ref: 'Match',
+  localField: '_id',
+  foreignField: 'session',
+  options: { sort: { createdAt: 1, _id: 1 } }
+});
+
+// Goals set for this session; populate('goals') adds their progress to stats
+sessionSchema.virtual('goals', {
+  ref: 'Goal',
+  localField: '_id',
+  foreignField: 'session',
+  options: { sort: { createdAt: 1 } }
+});
+
+// Calculate session statistics (requires populated matches). Each win rate
+// comes with a `<rate>Interval` giving its 95% Wilson interval and sample.
 sessionSchema.virtual('stats').get(function() {
-  const matches = this.matches;
+  const matches = this.matches || [];
   const total = matches.length;
   const wins = matches.filter(m => m.result === 'Win').length;
   const losses = total - wins;
-  const winRate = total > 0 ? Math.round((wins / total) * 1000) / 10 : 0;
+  const winRate = rate(wins, total);
+
+  // Bo3 matches count each game separately for game and turn order stats
+  const games = matches.flatMap(gamesOf);
+  const gameWins = games.filter(g => g.result === 'Win').length;
+  const gameWinRate = rate(gameWins, games.length);
   
-  const matches1st = matches.filter(m => m.turn === '1st');
-  const wins1st = matches1st.filter(m => m.result === 'Win').length;
-  const winRate1st = matches1st.length > 0 ? Math.round((wins1st / matches1st.length) * 1000) / 10 : 0;
+  const games1st = games.filter(g => g.turn === '1st');
+  const wins1st = games1st.filter(g => g.result === 'Win').length;
+  const winRate1st = rate(wins1st, games1st.length);
   
-  const matches2nd = matches.filter(m => m.turn === '2nd');
-  const wins2nd = matches2nd.filter(m => m.result === 'Win').length;
-  const winRate2nd = matches2nd.length > 0 ? Math.round((wins2nd / matches2nd.length) * 1000) / 10 : 0;
+  const games2nd = games.filter(g => g.turn === '2nd');
+  const wins2nd = games2nd.filter(g => g.result === 'Win').length;
+  const winRate2nd = rate(wins2nd, games2nd.length);
   
   const currentPoints = total > 0 ? matches[matches.length - 1].pointsAfter : this.pointsStart;
   const peakPoints = Math.max(...matches.map(m => m.pointsAfter), this.pointsStart);
@@ -98,47 +105,70 @@ sessionSchema.virtual('stats').get(function() {
     wins,
     losses,
     winRate,
+    winRateInterval: winRateInterval(wins, total),
+    games: games.length,
+    gameWins,
+    gameWinRate,
+    gameWinRateInterval: winRateInterval(gameWins, games.length),
     winRate1st,
+    winRate1stInterval: winRateInterval(wins1st, games1st.length),
     winRate2nd,
+    winRate2ndInterval: winRateInterval(wins2nd, games2nd.length),
     currentPoints,
-    peakPoints
+    peakPoints,
+    currentRank: describePoints(this.pointsFormula, currentPoints),
+    peakRank: describePoints(this.pointsFormula, peakPoints),
+    ...(Array.isArray(this.goals) && {
+      goals: this.goals.map(goal => goal.progressAt(currentPoints))
+    })
   };
 });
 
-// Update user stats when session is modified
-sessionSchema.post('save', async function() {
+// Bring a user's rollups up to date with their changed matches, then rebuild
+// their standings and overall stats from them. stats.currentPoints and
+// peakPoints mirror the all-time standing in the user's preferred formula;
+// other formulas are only in their own standings.
+sessionSchema.statics.updateUserStats = async function(userId) {
   const User = mongoose.model('User');
-  const user = await User.findById(this.user);
-  
-  if (user) {
-    // Recalculate user stats based on all sessions
-    const Session = mongoose.model('Session');
-    const sessions = await Session.find({ user: this.user, isActive: true });
-    
-    let totalMatches = 0;
-    let wins = 0;
-    let currentPoints = this.pointsFormula === 'rated' ? 1500 : 0;
-    let peakPoints = currentPoints;
-    
-    sessions.forEach(session => {
-      totalMatches += session.matches.length;
-      wins += session.matches.filter(m => m.result === 'Win').length;
-      
-      if (session.matches.length > 0) {
-        const sessionPoints = session.matches[session.matches.length - 1].pointsAfter;
-        currentPoints = sessionPoints; // This should be more sophisticated
-        peakPoints = Math.max(peakPoints, ...session.matches.map(m => m.pointsAfter));
-      }
-    });
-    
-    user.stats.totalMatches = totalMatches;
-    user.stats.wins = wins;
-    user.stats.losses = totalMatches - wins;
-    user.stats.currentPoints = currentPoints;
-    user.stats.peakPoints = peakPoints;
-    
-    await user.save();
+  const Rollup = mongoose.model('Rollup');
+
+  await applyPending(userId);
+  const standings = await refreshStandings(userId);
+
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  const days = await Rollup.find({ user: userId, kind: 'day' }).sort({ day: 1 }).lean();
+  const summary = summarizeDays(days);
+  const formula = user.preferences?.pointsFormula || 'rated';
+  const { startPoints } = getFormula(hasFormula(formula) ? formula : 'rated');
+  const standing = standings.get(formula);
+
+  user.stats.totalMatches = summary.totalMatches;
+  user.stats.wins = summary.wins;
+  user.stats.losses = summary.losses;
+  user.stats.currentPoints = standing ? standing.points : startPoints;
+  user.stats.peakPoints = standing ? Math.max(standing.peakPoints, startPoints) : startPoints;
+  user.stats.currentWinStreak = summary.currentWinStreak;
+  user.stats.bestWinStreak = summary.bestWinStreak;
+
+  await user.save();
+};
+
+// Activating, deactivating, trashing or restoring sessions changes which
+// matches count, so mark the days they were played on
+const SESSION_WRITES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+sessionSchema.pre(SESSION_WRITES, async function() {
+  const fields = updatedFields(this.getUpdate()) || [];
+  if (!fields.some(field => ['isActive', 'deletedAt'].includes(field))) return;
+
+  const sessionIds = await this.model.distinct('_id', this.getFilter());
+  if (sessionIds.length > 0) {
+    await markMatches({ session: { $in: sessionIds } });
   }
 });
 
+sessionSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
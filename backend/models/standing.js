@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A player's standing in one formula's leaderboard: over all time (no
+// season), within a running season, or their final position in an archived
+// season. Live standings are kept up to date by utils/standings; archived
+// ones are frozen by archiveSeason.
+const standingSchema = new mongoose.Schema({
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
+  formula: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Final position, set when the season is archived
+  rank: Number,
+  points: {
+    type: Number,
+    required: true
+  },
+  peakPoints: Number,
+  matches: { type: Number, default: 0 },
+  wins: { type: Number, default: 0 },
+  losses: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+standingSchema.index({ season: 1, formula: 1, rank: 1 });
+standingSchema.index({ season: 1, formula: 1, points: -1 });
+standingSchema.index({ user: 1, season: 1, formula: 1 }, { unique: true });
+
+module.exports = mongoose.model('Standing', standingSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { rate, winRateInterval } = require('../utils/stats');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -39,13 +40,26 @@ const userSchema = new mongoose.Schema({
     losses: { type: Number, default: 0 },
     currentPoints: { type: Number, default: 1500 },
     peakPoints: { type: Number, default: 1500 },
+    currentWinStreak: { type: Number, default: 0 },
     bestWinStreak: { type: Number, default: 0 }
   },
+  // Set once the user's statistics rollups were built from all their
+  // matches; until then utils/rollups builds them in full (see applyPending)
+  rollupsBuiltAt: {
+    type: Date,
+    select: false
+  },
   preferences: {
     theme: { type: String, default: 'default' },
     pointsFormula: { type: String, default: 'rated' },
     showDeckLists: { type: Boolean, default: true }
   },
+  // Players this user added. A friendship needs both players to have added
+  // each other before either sees the other's data (see mutualFriendIds).
+  friends: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -73,31 +87,26 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Update stats method
-userSchema.methods.updateStats = function(matchResult, pointsChange) {
-  this.stats.totalMatches += 1;
-  
-  if (matchResult === 'Win') {
-    this.stats.wins += 1;
-    // Update win streak
-    const currentStreak = this.stats.currentWinStreak || 0;
-    this.stats.currentWinStreak = currentStreak + 1;
-    this.stats.bestWinStreak = Math.max(this.stats.bestWinStreak, this.stats.currentWinStreak);
-  } else {
-    this.stats.losses += 1;
-    this.stats.currentWinStreak = 0;
-  }
-  
-  this.stats.currentPoints += pointsChange;
-  this.stats.peakPoints = Math.max(this.stats.peakPoints, this.stats.currentPoints);
-};
-
 // Virtual for win rate
 userSchema.virtual('winRate').get(function() {
-  if (this.stats.totalMatches === 0) return 0;
-  return Math.round((this.stats.wins / this.stats.totalMatches) * 1000) / 10;
+  return rate(this.stats.wins, this.stats.totalMatches);
+});
+
+userSchema.virtual('winRateInterval').get(function() {
+  return winRateInterval(this.stats.wins, this.stats.totalMatches);
 });
 
+// Ids of the user's mutual friends, optionally only those who share their
+// deck statistics (preferences.showDeckLists)
+userSchema.statics.mutualFriendIds = function(user, { sharingDeckLists = false } = {}) {
+  return this.distinct('_id', {
+    _id: { $in: user.friends || [] },
+    friends: user._id,
+    isActive: true,
+    ...(sharingDeckLists && { 'preferences.showDeckLists': { $ne: false } })
+  });
+};
+
 // Hide password in JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
@@ -0,0 +1,205 @@
+const express = require('express');
+const Archetype = require('../models/Archetype');
+const { auth, adminAuth } = require('../middleware/auth');
+const { rewriteHistory } = require('../utils/archetypes');
+
+const router = express.Router();
+
+// Duplicate key on the lookup keys index: a name or alias is already taken
+const isKeyConflict = error => error.code === 11000;
+
+const sendArchetypeError = (res, error, action, activity) => {
+  if (isKeyConflict(error)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Another archetype already uses this name or alias'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${action} archetype error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${activity} archetype`
+  });
+};
+
+// @desc    Get all archetypes
+// @route   GET /api/archetypes
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const archetypes = await Archetype.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      archetypes
+    });
+
+  } catch (error) {
+    console.error('Get archetypes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching archetypes'
+    });
+  }
+});
+
+// @desc    Create archetype and normalize matching history (Admin only)
+// @route   POST /api/archetypes
+// @access  Private/Admin
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { name, aliases = [], icon } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archetype name is required'
+      });
+    }
+
+    const archetype = await Archetype.create({ name, aliases, icon });
+    const rewritten = await rewriteHistory(archetype);
+
+    res.status(201).json({
+      success: true,
+      message: 'Archetype created successfully',
+      archetype,
+      rewritten
+    });
+
+  } catch (error) {
+    sendArchetypeError(res, error, 'Create', 'creating');
+  }
+});
+
+// @desc    Update archetype and normalize matching history (Admin only)
+// @route   PUT /api/archetypes/:id
+// @access  Private/Admin
+router.put('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const { name, aliases, icon } = req.body;
+    const archetype = await Archetype.findById(req.params.id);
+
+    if (!archetype) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archetype not found'
+      });
+    }
+
+    if (aliases !== undefined) archetype.aliases = aliases;
+    if (icon !== undefined) archetype.icon = icon;
+    if (name && name !== archetype.name) {
+      // The old name keeps resolving to the renamed archetype
+      archetype.aliases.push(archetype.name);
+      archetype.name = name;
+    }
+
+    await archetype.save();
+    const rewritten = await rewriteHistory(archetype);
+
+    res.json({
+      success: true,
+      message: 'Archetype updated successfully',
+      archetype,
+      rewritten
+    });
+
+  } catch (error) {
+    sendArchetypeError(res, error, 'Update', 'updating');
+  }
+});
+
+// @desc    Merge names and archetypes into one archetype, rewriting match history (Admin only)
+// @route   POST /api/archetypes/merge
+// @access  Private/Admin
+router.post('/merge', auth, adminAuth, async (req, res) => {
+  try {
+    const { target, sources } = req.body;
+
+    if (!target || !Array.isArray(sources) || sources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a target archetype name and a list of source names'
+      });
+    }
+
+    // The target is created if no archetype resolves to it yet
+    const resolved = await Archetype.resolve([target, ...sources]);
+    const archetype = resolved.get(target) || new Archetype({ name: target });
+
+    const absorbed = new Map();
+    sources.forEach(source => {
+      const match = resolved.get(source);
+      if (match && !match._id.equals(archetype._id)) {
+        absorbed.set(match._id.toString(), match);
+      } else if (!match) {
+        archetype.aliases.push(source);
+      }
+    });
+
+    // Absorbed archetypes release their keys before the target takes them,
+    // and come back if the target can't be saved after all
+    absorbed.forEach(source => {
+      archetype.aliases.push(source.name, ...source.aliases);
+      if (!archetype.icon && source.icon) archetype.icon = source.icon;
+    });
+    await archetype.validate();
+    await Archetype.deleteMany({ _id: { $in: [...absorbed.keys()] } });
+    try {
+      await archetype.save();
+    } catch (saveError) {
+      await Archetype.insertMany([...absorbed.values()].map(source => source.toObject()));
+      throw saveError;
+    }
+
+    const rewritten = await rewriteHistory(archetype);
+
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} name(s) into ${archetype.name}`,
+      archetype,
+      merged: [...absorbed.values()].map(source => source.name),
+      rewritten
+    });
+
+  } catch (error) {
+    sendArchetypeError(res, error, 'Merge', 'merging');
+  }
+});
+
+// @desc    Delete archetype (Admin only)
+// @route   DELETE /api/archetypes/:id
+// @access  Private/Admin
+router.delete('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const archetype = await Archetype.findByIdAndDelete(req.params.id);
+
+    if (!archetype) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archetype not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Archetype deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete archetype error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting archetype'
+    });
+  }
+});
+
+module.exports = router;
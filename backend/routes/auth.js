@@ -1,6 +1,7 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -208,12 +209,18 @@ router.put('/profile', auth, async (req, res) => {
       updateData['preferences.pointsFormula'] = pointsFormula;
     }
 
-    const user = await User.findByIdAndUpdate(
+    let user = await User.findByIdAndUpdate(
       req.user.id,
       { $set: updateData },
       { new: true, runValidators: true }
     );
 
+    // Headline points follow the preferred formula's standing
+    if (pointsFormula !== undefined) {
+      await Session.updateUserStats(user._id);
+      user = await User.findById(user._id);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -223,7 +230,8 @@ router.put('/profile', auth, async (req, res) => {
         email: user.email,
         role: user.role,
         profile: user.profile,
-        preferences: user.preferences
+        preferences: user.preferences,
+        stats: user.stats
       }
     });
 
@@ -286,4 +294,127 @@ router.put('/password', auth, async (req, res) => {
   }
 });
 
+// @desc    Get friends, sent friend requests and received friend requests
+// @route   GET /api/auth/friends
+// @access  Private
+router.get('/friends', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .populate('friends', 'username profile stats friends isActive');
+    const added = user.friends.filter(friend => friend.isActive);
+    const isMutual = friend => friend.friends.some(id => id.equals(user._id));
+    const received = await User.find({
+      friends: user._id,
+      _id: { $nin: added.map(friend => friend._id) },
+      isActive: true
+    }).select('username profile');
+
+    const summary = player => ({
+      id: player._id,
+      username: player.username,
+      displayName: player.profile?.displayName || player.username
+    });
+
+    res.json({
+      success: true,
+      friends: added.filter(isMutual).map(friend => ({ ...summary(friend), stats: friend.stats })),
+      sentRequests: added.filter(friend => !isMutual(friend)).map(summary),
+      receivedRequests: received.map(summary)
+    });
+
+  } catch (error) {
+    console.error('Get friends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching friends'
+    });
+  }
+});
+
+// @desc    Add friend by username: sends a request, or accepts theirs
+// @route   POST /api/auth/friends
+// @access  Private
+router.post('/friends', auth, async (req, res) => {
+  try {
+    const { username } = req.body;
+    const friend = username && await User.findOne({ username: String(username).trim(), isActive: true });
+
+    if (!friend) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    if (friend._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot add yourself as a friend'
+      });
+    }
+
+    await User.updateOne({ _id: req.user.id }, { $addToSet: { friends: friend._id } });
+    const mutual = friend.friends.some(id => id.equals(req.user._id));
+
+    res.status(201).json({
+      success: true,
+      message: mutual
+        ? `You and ${friend.username} are now friends`
+        : `Friend request sent to ${friend.username}`,
+      mutual,
+      friend: {
+        id: friend._id,
+        username: friend.username,
+        displayName: friend.profile?.displayName || friend.username
+      }
+    });
+
+  } catch (error) {
+    console.error('Add friend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding friend'
+    });
+  }
+});
+
+// @desc    Remove friend, or withdraw or decline a friend request
+// @route   DELETE /api/auth/friends/:id
+// @access  Private
+router.delete('/friends/:id', auth, async (req, res) => {
+  try {
+    // Both sides, so a removed friend's standing request doesn't bring the
+    // friendship back
+    const [removed, declined] = await Promise.all([
+      User.updateOne({ _id: req.user.id }, { $pull: { friends: req.params.id } }),
+      User.updateOne({ _id: req.params.id }, { $pull: { friends: req.user._id } })
+    ]);
+
+    if (removed.modifiedCount + declined.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Friend not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Friend removed successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Friend not found'
+      });
+    }
+    console.error('Remove friend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing friend'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
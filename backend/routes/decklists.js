@@ -1,6 +1,8 @@
 const express = require('express');
 const DeckList = require('../models/DeckList');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
+const { hasRollups } = require('../utils/rollups');
 
 const router = express.Router();
 
@@ -9,15 +11,15 @@ const router = express.Router();
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
+    // Stats are kept up to date as matches change (see utils/rollups), once
+    // the user's rollups have been built
+    if (!(await hasRollups(req.user.id))) {
+      await Session.updateUserStats(req.user.id);
+    }
+
     const decklists = await DeckList.find({ user: req.user.id })
       .sort({ createdAt: -1 });
 
-    // Update stats for each decklist
-    for (let decklist of decklists) {
-      await decklist.updateStats();
-      await decklist.save();
-    }
-
     res.json({
       success: true,
       count: decklists.length,
@@ -38,6 +40,10 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
+    if (!(await hasRollups(req.user.id))) {
+      await Session.updateUserStats(req.user.id);
+    }
+
     const decklist = await DeckList.findOne({
       _id: req.params.id,
       user: req.user.id
@@ -50,10 +56,6 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // Update stats
-    await decklist.updateStats();
-    await decklist.save();
-
     res.json({
       success: true,
       decklist
@@ -82,7 +84,7 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    const decklist = await DeckList.create({
+    const decklist = new DeckList({
       user: req.user.id,
       name,
       image,
@@ -93,6 +95,10 @@ router.post('/', auth, async (req, res) => {
       format: format || 'masterduel'
     });
 
+    // The deck may already have matches under this name
+    await decklist.updateStats();
+    await decklist.save();
+
     res.status(201).json({
       success: true,
       message: 'Decklist created successfully',
@@ -138,6 +144,12 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
+    // Stats follow the name
+    if (name) {
+      await decklist.updateStats();
+      await decklist.save();
+    }
+
     res.json({
       success: true,
       message: 'Decklist updated successfully',
@@ -158,10 +170,11 @@ router.put('/:id', auth, async (req, res) => {
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const decklist = await DeckList.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user.id
-    });
+    const decklist = await DeckList.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { deletedAt: new Date() },
+      { new: true }
+    );
 
     if (!decklist) {
       return res.status(404).json({
@@ -172,7 +185,7 @@ router.delete('/:id', auth, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Decklist deleted successfully'
+      message: 'Decklist moved to trash'
     });
 
   } catch (error) {
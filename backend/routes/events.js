@@ -0,0 +1,66 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { streamAuth } = require('../middleware/auth');
+const { subscribe } = require('../utils/liveEvents');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// @desc    Stream live match and session updates (Server-Sent Events)
+// @route   GET /api/events?session=<id>&token=<jwt>
+// @access  Private
+router.get('/', streamAuth, async (req, res) => {
+  try {
+    const { session: sessionId } = req.query;
+
+    // Without ?session= the stream carries every session of the user
+    if (sessionId) {
+      const owned = mongoose.Types.ObjectId.isValid(sessionId) &&
+        await Session.exists({ _id: sessionId, user: req.user.id });
+
+      if (!owned) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    let eventId = 0;
+    const unsubscribe = subscribe(req.user.id, (event) => {
+      if (sessionId && event.data.sessionId !== sessionId) return;
+
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+    });
+
+    // Comments keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening event stream'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,278 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const Session = require('../models/Session');
+const Season = require('../models/Season');
+const { auth } = require('../middleware/auth');
+const { hasFormula, getFormula } = require('../formulas');
+const { loadGoalScope, cachedProjection } = require('../utils/goals');
+
+const router = express.Router();
+
+// Target in the formula's points scale: targetPoints as given, or targetRank
+// ("Master 1" or { tier, level, pips }) for ladder formulas
+const readTarget = (formulaName, { targetPoints, targetRank }) => {
+  if (targetRank !== undefined) {
+    const formula = getFormula(formulaName);
+    if (!formula.encode) {
+      return { error: `The ${formula.label} formula has no ranks, set targetPoints instead` };
+    }
+
+    let rank = targetRank;
+    if (typeof targetRank === 'string') {
+      const [, tier, level] = targetRank.trim().match(/^(\w+)\s+(\d+)$/) || [];
+      rank = tier && { tier, level: Number(level) };
+    }
+    const rankError = rank ? formula.validateRank(rank) : 'expected a rank followed by a level, e.g. "Master 1"';
+    if (rankError) {
+      return { error: `Invalid targetRank: ${rankError}` };
+    }
+    return { points: formula.encode(rank) };
+  }
+
+  if (targetPoints === undefined || isNaN(Number(targetPoints))) {
+    return { error: 'Please provide targetPoints or targetRank' };
+  }
+  return { points: Number(targetPoints) };
+};
+
+// Projection for a goal, marking it achieved the first time it gets there
+const withProjection = async (goal) => {
+  const projection = await cachedProjection(goal, await loadGoalScope(goal));
+
+  if (projection.achieved && !goal.achievedAt) {
+    goal.achievedAt = new Date();
+    await goal.save();
+  }
+  return { ...goal.toJSON(), projection };
+};
+
+// @desc    Get goals with progress and projections
+// @route   GET /api/goals?session=&season=&active=true
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    ['session', 'season'].forEach(field => {
+      if (req.query[field]) {
+        filter[field] = mongoose.isValidObjectId(req.query[field]) ? req.query[field] : null;
+      }
+    });
+    if (req.query.active === 'true') filter.achievedAt = null;
+
+    const goals = await Goal.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: goals.length,
+      goals: await Promise.all(goals.map(withProjection))
+    });
+
+  } catch (error) {
+    console.error('Get goals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching goals'
+    });
+  }
+});
+
+// @desc    Get goal with progress and projection
+// @route   GET /api/goals/:id
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const goal = mongoose.isValidObjectId(req.params.id) &&
+      await Goal.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      goal: await withProjection(goal)
+    });
+
+  } catch (error) {
+    console.error('Get goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching goal'
+    });
+  }
+});
+
+// @desc    Create goal for a session or a season
+// @route   POST /api/goals
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { session: sessionId, season: seasonId, formula, title, deadline } = req.body;
+
+    if (Boolean(sessionId) === Boolean(seasonId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide either a session or a season'
+      });
+    }
+
+    let formulaName = formula;
+    if (sessionId) {
+      const session = mongoose.isValidObjectId(sessionId) &&
+        await Session.findOne({ _id: sessionId, user: req.user.id });
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+      formulaName = session.pointsFormula;
+    } else {
+      const season = mongoose.isValidObjectId(seasonId) && await Season.findById(seasonId);
+      if (!season) {
+        return res.status(404).json({
+          success: false,
+          message: 'Season not found'
+        });
+      }
+      formulaName = formulaName || req.user.preferences?.pointsFormula || 'rated';
+      if (!hasFormula(formulaName)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown points formula "${formulaName}"`
+        });
+      }
+    }
+
+    const goal = new Goal({
+      user: req.user.id,
+      session: sessionId || undefined,
+      season: seasonId || undefined,
+      formula: formulaName,
+      title,
+      deadline
+    });
+
+    const target = readTarget(formulaName, req.body);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+    goal.targetPoints = target.points;
+
+    // Progress is measured from where the player stands today
+    const { currentPoints } = await loadGoalScope(goal);
+    goal.startPoints = currentPoints;
+    await goal.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      goal: await withProjection(goal)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating goal'
+    });
+  }
+});
+
+// @desc    Update goal title, deadline or target
+// @route   PUT /api/goals/:id
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const goal = mongoose.isValidObjectId(req.params.id) &&
+      await Goal.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const { title, deadline, targetPoints, targetRank } = req.body;
+    if (title !== undefined) goal.title = title;
+    if (deadline !== undefined) goal.deadline = deadline || undefined;
+
+    if (targetPoints !== undefined || targetRank !== undefined) {
+      const target = readTarget(goal.formula, { targetPoints, targetRank });
+      if (target.error) {
+        return res.status(400).json({
+          success: false,
+          message: target.error
+        });
+      }
+      goal.targetPoints = target.points;
+      goal.achievedAt = undefined;
+    }
+
+    await goal.save();
+
+    res.json({
+      success: true,
+      message: 'Goal updated successfully',
+      goal: await withProjection(goal)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating goal'
+    });
+  }
+});
+
+// @desc    Delete goal
+// @route   DELETE /api/goals/:id
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const goal = mongoose.isValidObjectId(req.params.id) &&
+      await Goal.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Goal deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting goal'
+    });
+  }
+});
+
+module.exports = router;
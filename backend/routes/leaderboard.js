@@ -1,77 +1,181 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Session = require('../models/Session');
+const Match = require('../models/Match');
+const Standing = require('../models/Standing');
+const { hasFormula, describePoints } = require('../formulas');
+const { groupByArchetype } = require('../utils/archetypes');
+const { findSeason } = require('../utils/seasons');
+const { activeStandingsStages } = require('../utils/standings');
+const { rankMovement, loadRankHistory } = require('../utils/snapshots');
+const { TREND_BUCKETS, usageBy, metaTrends } = require('../utils/meta');
+const { readCircle, readRankBand } = require('../utils/matchups');
+const { parseDate } = require('../utils/matchQuery');
+const {
+  rate,
+  winRateInterval,
+  rankRows,
+  wilsonLowerBoundExpression,
+  readRateQuery
+} = require('../utils/stats');
 
 const router = express.Router();
 
-// @desc    Get leaderboard
-// @route   GET /api/leaderboard
+const LEADERBOARD_RANK_BY = ['points', 'winRate', 'lowerBound'];
+const MAX_PAGE_SIZE = 200;
+
+// A positive whole number from the query, or null when it isn't one
+const readPositiveInt = (value) => /^\d+$/.test(String(value)) && Number(value) >= 1 ? Number(value) : null;
+
+// One formula's leaderboard from its standings: all time (season null), a
+// running season, or an archived season's frozen standings
+const getStandingsLeaderboard = async ({ season, formula, circleFilter, page, limit, rateOptions }) => {
+  // Win rate rankings are sorted in the database, so lower bound rankings
+  // report Wilson intervals (see the route). Archived seasons keep their
+  // final order.
+  const sort = {
+    points: season && season.isArchived() ? { rank: 1 } : { points: -1, wins: -1 },
+    winRate: { winRate: -1, matches: -1 },
+    lowerBound: { lowerBound: -1, matches: -1 }
+  }[rateOptions.rankBy];
+  const skip = (page - 1) * limit;
+
+  const board = { season: season ? season._id : null, formula };
+  const [{ standings, total }] = await Standing.aggregate([
+    ...activeStandingsStages({ ...board, ...circleFilter }),
+    {
+      $addFields: {
+        winRate: { $divide: ['$wins', '$matches'] },
+        lowerBound: wilsonLowerBoundExpression('$wins', '$matches', rateOptions.level)
+      }
+    },
+    {
+      $facet: {
+        standings: [{ $sort: { ...sort, 'user._id': 1 } }, { $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    },
+    { $project: { standings: 1, total: { $ifNull: [{ $arrayElemAt: ['$total.count', 0] }, 0] } } }
+  ]);
+
+  // Place on the whole board, which rank movement (since yesterday and last
+  // week) is measured in: the final rank of an archived season, or the
+  // points order offset by the players above the circle. Unknown when
+  // ranking by win rate, so only the peak rank is given then.
+  let above = 0;
+  const { points: range } = circleFilter;
+  if (rateOptions.rankBy === 'points' && range && range.$lt !== undefined) {
+    const [count] = await Standing.aggregate([
+      ...activeStandingsStages({ ...board, points: { $gte: range.$lt } }),
+      { $count: 'count' }
+    ]);
+    above = count ? count.count : 0;
+  }
+  const boardRank = (standing, index) => {
+    if (season && season.isArchived()) return standing.rank;
+    return rateOptions.rankBy === 'points' ? above + skip + index + 1 : null;
+  };
+
+  const movement = await rankMovement(board, new Map(standings.map((standing, index) => [
+    standing.user._id.toString(),
+    boardRank(standing, index)
+  ])));
+
+  return {
+    total,
+    users: standings.map((standing, index) => ({
+      rank: skip + index + 1,
+      ...movement.get(standing.user._id.toString()),
+      ...(season && { seasonRank: standing.rank ?? skip + index + 1 }),
+      id: standing.user._id,
+      username: standing.user.username,
+      displayName: standing.user.profile?.displayName || standing.user.username,
+      points: standing.points,
+      ladderRank: describePoints(formula, standing.points),
+      totalMatches: standing.matches,
+      winRate: rate(standing.wins, standing.matches),
+      winRateInterval: winRateInterval(standing.wins, standing.matches, rateOptions),
+      peakPoints: standing.peakPoints,
+      peakLadderRank: describePoints(formula, standing.peakPoints),
+      bestWinStreak: standing.user.stats.bestWinStreak
+    }))
+  };
+};
+
+// @desc    Get leaderboard for one points formula, over all time or a season, with rank movement
+// @route   GET /api/leaderboard?formula=&circle=&season=<id|name|current>&rankBy=points|winRate|lowerBound&interval=wilson|bayes
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const { formula = 'rated', circle, page = 1, limit = 50 } = req.query;
-    
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build filter based on circle
-    let pointsFilter = {};
-    if (circle) {
-      const [min, max] = circle.split('-').map(Number);
-      if (formula === 'rated') {
-        pointsFilter = { 
-          'stats.currentPoints': { 
-            $gte: min, 
-            ...(max && { $lt: max }) 
-          } 
-        };
-      } else {
-        // DC formula - circles are every 10k points
-        pointsFilter = { 
-          'stats.currentPoints': { 
-            $gte: min, 
-            ...(max && { $lt: max }) 
-          } 
-        };
-      }
+    const { formula = 'rated', circle, season: seasonParam } = req.query;
+    const { options: rateOptions, errors } = readRateQuery(req.query, LEADERBOARD_RANK_BY);
+    const page = readPositiveInt(req.query.page ?? 1);
+    const limit = readPositiveInt(req.query.limit ?? 50);
+    const { range: circleRange, error: circleError } = circle ? readCircle(circle) : {};
+    const circleFilter = circleRange ? { points: circleRange } : {};
+
+    if (!hasFormula(formula)) {
+      errors.push(`Unknown points formula "${formula}"`);
+    }
+    if (page === null) {
+      errors.push('page must be a whole number from 1');
+    }
+    if (limit === null || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+    if (circleError) {
+      errors.push(circleError);
+    }
+    // The Beta quantile can't be computed in the database, so Bayes bounds
+    // would be shown next to a Wilson order
+    if (rateOptions.rankBy === 'lowerBound' && rateOptions.method !== 'wilson') {
+      errors.push('rankBy=lowerBound ranks by the Wilson bound, use interval=wilson with it');
     }
 
-    const users = await User.find({
-      ...pointsFilter,
-      isActive: true,
-      'stats.totalMatches': { $gt: 0 } // Only include users with matches
-    })
-    .select('username profile stats')
-    .sort({ 'stats.currentPoints': -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
 
-    // Calculate ranks
-    const rankedUsers = users.map((user, index) => ({
-      rank: skip + index + 1,
-      id: user._id,
-      username: user.username,
-      displayName: user.profile?.displayName || user.username,
-      points: user.stats.currentPoints,
-      totalMatches: user.stats.totalMatches,
-      winRate: Math.round((user.stats.wins / user.stats.totalMatches) * 1000) / 10,
-      peakPoints: user.stats.peakPoints,
-      bestWinStreak: user.stats.bestWinStreak
-    }));
-
-    const total = await User.countDocuments({
-      ...pointsFilter,
-      isActive: true,
-      'stats.totalMatches': { $gt: 0 }
+    const season = seasonParam ? await findSeason(seasonParam) : null;
+
+    if (seasonParam && !season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const { total, users } = await getStandingsLeaderboard({
+      season,
+      formula,
+      circleFilter,
+      page,
+      limit,
+      rateOptions
     });
 
     res.json({
       success: true,
       formula,
       circle: circle || 'all',
-      page: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit)),
+      rankBy: rateOptions.rankBy,
+      ...(season && {
+        season: {
+          id: season._id,
+          name: season.name,
+          startsAt: season.startsAt,
+          endsAt: season.endsAt,
+          archived: season.isArchived()
+        }
+      }),
+      page,
+      pages: Math.ceil(total / limit),
       total,
-      users: rankedUsers
+      users
     });
 
   } catch (error) {
@@ -83,13 +187,34 @@ router.get('/', async (req, res) => {
   }
 });
 
-// @desc    Get player stats
-// @route   GET /api/leaderboard/player/:userId
+// Longest rank history, in days
+const MAX_HISTORY_DAYS = 366;
+
+// @desc    Get a player's daily rank on one formula's leaderboard
+// @route   GET /api/leaderboard/player/:userId/history?formula=&season=<id|name|current>&days=90
 // @access  Public
-router.get('/player/:userId', async (req, res) => {
+router.get('/player/:userId/history', async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId)
-      .select('username profile stats createdAt');
+    const { formula = 'rated', season: seasonParam, days = 90 } = req.query;
+    const errors = [];
+    const dayCount = parseInt(days);
+
+    if (!hasFormula(formula)) {
+      errors.push(`Unknown points formula "${formula}"`);
+    }
+    if (!(dayCount >= 1 && dayCount <= MAX_HISTORY_DAYS)) {
+      errors.push(`days must be between 1 and ${MAX_HISTORY_DAYS}`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.userId) &&
+      await User.findById(req.params.userId).select('isActive');
 
     if (!user || !user.isActive) {
       return res.status(404).json({
@@ -98,56 +223,106 @@ router.get('/player/:userId', async (req, res) => {
       });
     }
 
-    // Get user's sessions and matches
-    const sessions = await Session.find({ 
-      user: req.params.userId, 
-      isActive: true 
+    const season = seasonParam ? await findSeason(seasonParam) : null;
+
+    if (seasonParam && !season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const history = await loadRankHistory(user._id, { formula, season: season ? season._id : null }, dayCount);
+
+    res.json({
+      success: true,
+      formula,
+      season: season ? { id: season._id, name: season.name } : null,
+      peakRank: history.length > 0 ? Math.min(...history.map(entry => entry.rank)) : null,
+      history: history.map(entry => ({
+        date: entry.day,
+        rank: entry.rank,
+        players: entry.players,
+        points: entry.points,
+        ladderRank: describePoints(formula, entry.points),
+        matches: entry.matches,
+        winRate: rate(entry.wins, entry.matches)
+      }))
     });
 
-    // Calculate deck performance
-    const deckStats = {};
-    const recentMatches = [];
-    let totalMatches = 0;
-
-    sessions.forEach(session => {
-      session.matches.forEach(match => {
-        totalMatches++;
-        
-        // Track recent matches (last 20)
-        if (recentMatches.length < 20) {
-          recentMatches.unshift({
-            deck: match.deck,
-            opponent: match.opp,
-            result: match.result,
-            date: match.createdAt
-          });
-        }
+  } catch (error) {
+    console.error('Get rank history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rank history'
+    });
+  }
+});
 
-        // Calculate deck stats
-        if (!deckStats[match.deck]) {
-          deckStats[match.deck] = {
-            name: match.deck,
-            matches: 0,
-            wins: 0,
-            winRate: 0
-          };
-        }
+// @desc    Get player stats
+// @route   GET /api/leaderboard/player/:userId?interval=wilson|bayes&rankBy=usage|winRate|lowerBound
+// @access  Public
+router.get('/player/:userId', async (req, res) => {
+  try {
+    const { options: rateOptions, errors } = readRateQuery(req.query);
 
-        deckStats[match.deck].matches++;
-        if (match.result === 'Win') {
-          deckStats[match.deck].wins++;
-        }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
       });
-    });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.userId) &&
+      await User.findById(req.params.userId).select('username profile stats createdAt isActive');
 
-    // Calculate win rates for decks
-    Object.values(deckStats).forEach(deck => {
-      deck.winRate = Math.round((deck.wins / deck.matches) * 1000) / 10;
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    // Standing in each formula, over all time and this season
+    const currentSeason = await findSeason('current');
+    const standings = await Standing.find({
+      user: user._id,
+      season: { $in: [null, ...(currentSeason ? [currentSeason._id] : [])] }
+    })
+      .sort({ formula: 1, season: 1 })
+      .lean();
+
+    // Get matches from the user's active sessions
+    const sessionIds = await Session.distinct('_id', {
+      user: user._id,
+      isActive: true
     });
 
-    const deckStatsArray = Object.values(deckStats)
-      .sort((a, b) => b.matches - a.matches)
-      .slice(0, 10); // Top 10 decks by usage
+    const recentMatches = await Match.find({ session: { $in: sessionIds } })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(10);
+
+    const deckStats = await Match.aggregate([
+      { $match: { session: { $in: sessionIds } } },
+      {
+        $group: {
+          _id: '$deck',
+          matches: { $sum: 1 },
+          wins: { $sum: { $cond: [{ $eq: ['$result', 'Win'] }, 1, 0] } }
+        }
+      },
+      { $project: { _id: 0, name: '$_id', matches: 1, wins: 1 } },
+      { $sort: { matches: -1 } }
+    ]);
+
+    const totalMatches = deckStats.reduce((sum, deck) => sum + deck.matches, 0);
+    const deckStatsArray = rankRows(await groupByArchetype(deckStats, {
+      nameField: 'name',
+      totalField: 'matches',
+      counters: ['matches', 'wins'],
+      rateOptions
+    }), { rankBy: rateOptions.rankBy })
+      .slice(0, 10); // Top 10 decks (by usage unless ranked otherwise)
 
     res.json({
       success: true,
@@ -157,8 +332,26 @@ router.get('/player/:userId', async (req, res) => {
         displayName: user.profile?.displayName || user.username,
         joinDate: user.createdAt,
         stats: user.stats,
+        standings: standings.map(standing => ({
+          formula: standing.formula,
+          season: standing.season ? { id: currentSeason._id, name: currentSeason.name } : null,
+          points: standing.points,
+          ladderRank: describePoints(standing.formula, standing.points),
+          peakPoints: standing.peakPoints,
+          peakLadderRank: describePoints(standing.formula, standing.peakPoints),
+          matches: standing.matches,
+          wins: standing.wins,
+          losses: standing.losses,
+          winRate: rate(standing.wins, standing.matches),
+          winRateInterval: winRateInterval(standing.wins, standing.matches, rateOptions)
+        })),
         deckStats: deckStatsArray,
-        recentMatches: recentMatches.slice(0, 10), // Last 10 matches
+        recentMatches: recentMatches.map(match => ({
+          deck: match.deck,
+          opponent: match.opp,
+          result: match.result,
+          date: match.createdAt
+        })), // Last 10 matches
         totalMatches
       }
     });
@@ -172,92 +365,107 @@ router.get('/player/:userId', async (req, res) => {
   }
 });
 
-// @desc    Get meta statistics
-// @route   GET /api/leaderboard/meta
+// Longest trend window, in buckets
+const MAX_TREND_BUCKETS = 366;
+
+// @desc    Get meta statistics, optionally with play rate and win rate over time
+// @route   GET /api/leaderboard/meta?formula=&circle=&rank=&season=&trend=day|week&side=deck|opp&from=&to=&interval=wilson|bayes&level=&rankBy=usage|winRate|lowerBound
 // @access  Public
 router.get('/meta', async (req, res) => {
   try {
-    const { circle, formula = 'rated' } = req.query;
-
-    // Build circle filter
-    let circleFilter = {};
-    if (circle) {
-      const [min, max] = circle.split('-').map(Number);
-      circleFilter = { 
-        'stats.currentPoints': { 
-          $gte: min, 
-          ...(max && { $lt: max }) 
-        } 
-      };
+    const { circle, rank, season: seasonQuery, trend, side = 'deck', from, to } = req.query;
+    const { options: rateOptions, errors } = readRateQuery(req.query);
+
+    // Circles have always been in rated points
+    const formula = req.query.formula || (circle || rank ? 'rated' : undefined);
+    if (formula && !hasFormula(formula)) {
+      errors.push(`Unknown points formula "${formula}"`);
     }
 
-    const activeUsers = await User.countDocuments({
-      ...circleFilter,
+    const band = readRankBand({ formula, circle, rank });
+    errors.push(...band.errors);
+
+    if (trend && !TREND_BUCKETS[trend]) {
+      errors.push(`trend must be one of ${Object.keys(TREND_BUCKETS).join(', ')}`);
+    }
+    if (!['deck', 'opp'].includes(side)) {
+      errors.push('side must be deck or opp');
+    }
+    const range = { from: from && parseDate(from), to: to && parseDate(to) };
+    ['from', 'to'].forEach(param => {
+      if (req.query[param] && !range[param]) errors.push(`${param} must be a date`);
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const season = seasonQuery ? await findSeason(seasonQuery) : null;
+    if (seasonQuery && !season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const activeSessions = await Session.distinct('_id', {
       isActive: true,
-      'stats.totalMatches': { $gt: 0 }
+      ...(formula && { pointsFormula: formula })
     });
+    const matchFilter = {
+      session: { $in: activeSessions },
+      ...band.filter,
+      ...(season && { season: season._id })
+    };
 
-    // Get deck usage from sessions
-    const deckUsage = await Session.aggregate([
-      { $match: { isActive: true } },
-      { $unwind: '$matches' },
-      {
-        $group: {
-          _id: '$matches.deck',
-          totalMatches: { $sum: 1 },
-          wins: { 
-            $sum: { 
-              $cond: [{ $eq: ['$matches.result', 'Win'] }, 1, 0] 
-            } 
-          }
-        }
-      },
-      {
-        $project: {
-          deck: '$_id',
-          totalMatches: 1,
-          wins: 1,
-          winRate: { $round: [{ $multiply: [{ $divide: ['$wins', '$totalMatches'] }, 100] }, 1] }
-        }
-      },
-      { $sort: { totalMatches: -1 } },
-      { $limit: 20 }
+    // Get deck and opponent deck usage from matches
+    const [deckUsage, opponentUsage, players] = await Promise.all([
+      usageBy('deck', matchFilter),
+      usageBy('opp', matchFilter),
+      Match.distinct('user', matchFilter)
     ]);
 
-    // Get opponent deck usage
-    const opponentUsage = await Session.aggregate([
-      { $match: { isActive: true } },
-      { $unwind: '$matches' },
-      {
-        $group: {
-          _id: '$matches.opp',
-          totalMatches: { $sum: 1 },
-          wins: { 
-            $sum: { 
-              $cond: [{ $eq: ['$matches.result', 'Loss'] }, 1, 0] 
-            } 
-          }
-        }
-      },
-      {
-        $project: {
-          deck: '$_id',
-          totalMatches: 1,
-          wins: 1,
-          winRate: { $round: [{ $multiply: [{ $divide: ['$wins', '$totalMatches'] }, 100] }, 1] }
-        }
-      },
-      { $sort: { totalMatches: -1 } },
-      { $limit: 20 }
-    ]);
+    // Spellings of one archetype count together
+    const byArchetype = async (usage) => rankRows(await groupByArchetype(usage, {
+      nameField: 'deck',
+      totalField: 'totalMatches',
+      counters: ['totalMatches', 'wins'],
+      rateOptions
+    }), { rankBy: rateOptions.rankBy, total: 'totalMatches' })
+      .slice(0, 20);
+
+    let trends;
+    if (trend) {
+      // Default window: the season, or the last 30 days / 12 weeks
+      const { ms, defaultCount } = TREND_BUCKETS[trend];
+      const now = new Date();
+      const end = range.to || (season && season.endsAt < now ? season.endsAt : now);
+      const start = range.from || (season ? season.startsAt : new Date(end.getTime() - (defaultCount - 1) * ms));
+
+      if (start >= end || (end - start) / ms > MAX_TREND_BUCKETS) {
+        return res.status(400).json({
+          success: false,
+          message: `from must be before to and at most ${MAX_TREND_BUCKETS} ${trend}s earlier`
+        });
+      }
+      trends = await metaTrends(matchFilter, { bucket: trend, from: start, to: end, side, rateOptions });
+    }
 
     res.json({
       success: true,
       meta: {
-        activeUsers,
+        interval: { method: rateOptions.method, level: rateOptions.level },
+        rankBy: rateOptions.rankBy,
+        formula: formula || null,
+        season: season ? { id: season._id, name: season.name } : null,
+        activeUsers: players.length,
         totalMatches: deckUsage.reduce((sum, deck) => sum + deck.totalMatches, 0),
-        deckUsage,
-        opponentUsage
+        deckUsage: await byArchetype(deckUsage),
+        opponentUsage: await byArchetype(opponentUsage),
+        ...(trends && { trends })
       }
     });
 
@@ -1,71 +1,474 @@
 const express = require('express');
 const Session = require('../models/Session');
+const Match = require('../models/Match');
+const MatchChange = require('../models/MatchChange');
+const Archetype = require('../models/Archetype');
+const Season = require('../models/Season');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { publish } = require('../utils/liveEvents');
 const { auth } = require('../middleware/auth');
+const matchReasons = require('../config/matchReasons');
+const { MAX_GAMES, deriveSeries, GAMES_EXPRESSION } = require('../utils/games');
+const { hasFormula, recalculatePoints } = require('../formulas');
+const { prepareImport, mergeByTimestamp } = require('../utils/matchImport');
+const {
+  SORT_FIELDS,
+  GROUP_FIELDS,
+  groupKey,
+  resolveSessionIds,
+  buildMatchFilter,
+  parseSort
+} = require('../utils/matchQuery');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const { analyzeStreaks, streaksBy } = require('../utils/streaks');
+const { withWinRate, rankRows, readRateQuery } = require('../utils/stats');
+const {
+  MATRIX_SCOPES,
+  readRankBand,
+  resolveScopeSessionIds,
+  buildMatchupMatrix
+} = require('../utils/matchups');
+const {
+  HistoryConflictError,
+  snapshot,
+  recordChange,
+  recordUpdate,
+  undoLastChange,
+  redoNextChange
+} = require('../utils/matchHistory');
+const {
+  SessionConflictError,
+  readExpectedRevision,
+  withSessionWrite
+} = require('../utils/sessionWrite');
 
 const router = express.Router();
 
+// Allowed values, read from the match schema so imports validate the same way
+const matchEnums = {
+  result: Match.schema.path('result').enumValues,
+  turn: Match.schema.path('turn').enumValues
+};
+
+// Optional match details accepted on create and update
+const DETAIL_FIELDS = ['coinToss', 'chosenTurn', 'format', 'duration', 'reason', 'notes'];
+
+const pickDetails = (body) => DETAIL_FIELDS.reduce((details, field) => {
+  if (body[field] !== undefined) details[field] = body[field];
+  return details;
+}, {});
+
+// Deck and opponent names as stored: the canonical archetype name when the
+// typed name resolves to one
+const canonicalMatchNames = async ({ deck, opp }) => {
+  const names = await Archetype.canonicalize([deck, opp]);
+  return { deck: names.get(deck) ?? deck, opp: names.get(opp) ?? opp };
+};
+
+// Bo3 matches take their result and turn from the games list. Returns
+// { result, turn, games? } or { error }.
+const readSeries = (body) => {
+  if (!Array.isArray(body.games) || body.games.length === 0) {
+    return { result: body.result, turn: body.turn };
+  }
+  if (body.games.length > MAX_GAMES) {
+    return { error: `A match cannot have more than ${MAX_GAMES} games` };
+  }
+
+  const series = deriveSeries(body.games);
+  if (series.error) return series;
+
+  return { result: series.result, turn: series.turn, games: body.games };
+};
+
+// @desc    Query matches across all of the user's sessions
+// @route   GET /api/matches?deck=&opp=&turn=&result=&from=&to=&session=&tag=&sort=&order=&cursor=&limit=
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const sort = parseSort(req.query);
+
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of ${SORT_FIELDS.join(', ')}`
+      });
+    }
+
+    const { filter, errors } = buildMatchFilter(req.query);
+    let cursor = null;
+
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) errors.push('cursor is invalid');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const sessionIds = await resolveSessionIds(req.user.id, req.query);
+    const conditions = [{ user: req.user.id, session: { $in: sessionIds } }, filter];
+    if (cursor) conditions.push(afterCursor(cursor, sort.field, sort.direction));
+
+    // Fetch one extra to know whether another page exists
+    const matches = await Match.find({ $and: conditions })
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .limit(limit + 1)
+      .populate('session', 'name pointsFormula tags');
+
+    const hasMore = matches.length > limit;
+    const page = hasMore ? matches.slice(0, limit) : matches;
+
+    res.json({
+      success: true,
+      count: page.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort.field) : null,
+      matches: page
+    });
+
+  } catch (error) {
+    console.error('Query matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while querying matches'
+    });
+  }
+});
+
+// @desc    Get the match reason taxonomy
+// @route   GET /api/matches/reasons
+// @access  Private
+router.get('/reasons', auth, (req, res) => {
+  res.json({
+    success: true,
+    reasons: matchReasons
+  });
+});
+
+// @desc    Win/loss breakdown of matches grouped by a field
+// @route   GET /api/matches/stats?groupBy=turn|gameTurn|coinToss|chosenTurn|format|reason|durationBucket|deck|opp&interval=wilson|bayes&level=&rankBy=usage|winRate|lowerBound
+// @access  Private
+router.get('/stats', auth, async (req, res) => {
+  try {
+    const { groupBy = 'turn' } = req.query;
+
+    if (!GROUP_FIELDS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of ${GROUP_FIELDS.join(', ')}`
+      });
+    }
+
+    const { filter, errors } = buildMatchFilter(req.query);
+    const { options: rateOptions, errors: rateErrors } = readRateQuery(req.query);
+    errors.push(...rateErrors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const sessionIds = await resolveSessionIds(req.user.id, req.query);
+
+    const isWin = field => ({ $cond: [{ $eq: [field, 'Win'] }, 1, 0] });
+
+    // Match-level groups also count the games inside Bo3 matches; gameTurn
+    // groups are made of single games
+    const counters = groupBy === 'gameTurn'
+      ? {
+        games: { $sum: 1 },
+        gameWins: { $sum: isWin('$games.result') }
+      }
+      : {
+        matches: { $sum: 1 },
+        wins: { $sum: isWin('$result') },
+        games: { $sum: { $size: '$games' } },
+        gameWins: {
+          $sum: { $size: { $filter: { input: '$games', cond: { $eq: ['$$this.result', 'Win'] } } } }
+        },
+        avgDuration: { $avg: '$duration' }
+      };
+
+    const rows = await Match.aggregate([
+      { $match: { ...filter, user: req.user._id, session: { $in: sessionIds } } },
+      { $addFields: { games: GAMES_EXPRESSION } },
+      ...(groupBy === 'gameTurn' ? [{ $unwind: '$games' }] : []),
+      { $group: { _id: groupKey(groupBy), ...counters } },
+      {
+        $project: {
+          _id: 0,
+          key: '$_id',
+          games: 1,
+          gameWins: 1,
+          ...(groupBy !== 'gameTurn' && {
+            matches: 1,
+            wins: 1,
+            losses: { $subtract: ['$matches', '$wins'] },
+            avgDuration: { $round: ['$avgDuration', 0] }
+          })
+        }
+      }
+    ]);
+
+    const groups = rankRows(rows.map(row => {
+      const withGames = withWinRate(row, { wins: 'gameWins', total: 'games', field: 'gameWinRate', ...rateOptions });
+      return groupBy === 'gameTurn' ? withGames : withWinRate(withGames, rateOptions);
+    }), {
+      rankBy: rateOptions.rankBy,
+      field: groupBy === 'gameTurn' ? 'gameWinRate' : 'winRate',
+      total: 'games'
+    });
+
+    res.json({
+      success: true,
+      groupBy,
+      interval: { method: rateOptions.method, level: rateOptions.level },
+      rankBy: rateOptions.rankBy,
+      total: groups.reduce((sum, group) => sum + (group.matches ?? group.games), 0),
+      groups
+    });
+
+  } catch (error) {
+    console.error('Match stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while computing match statistics'
+    });
+  }
+});
+
+// @desc    Streak, tilt and fatigue analytics
+// @route   GET /api/matches/analytics?blockGap=<minutes>&maxLosses=&session=&tag=&deck=&from=&to=
+// @access  Private
+router.get('/analytics', auth, async (req, res) => {
+  try {
+    const blockGap = req.query.blockGap === undefined ? 30 : Number(req.query.blockGap);
+    const maxLosses = req.query.maxLosses === undefined ? 5 : parseInt(req.query.maxLosses);
+    const { filter, errors } = buildMatchFilter(req.query);
+
+    if (isNaN(blockGap) || blockGap <= 0) errors.push('blockGap must be a positive number of minutes');
+    if (isNaN(maxLosses) || maxLosses < 1 || maxLosses > 20) errors.push('maxLosses must be between 1 and 20');
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const sessionIds = await resolveSessionIds(req.user.id, req.query);
+    const matches = await Match.find({ ...filter, user: req.user.id, session: { $in: sessionIds } })
+      .sort({ createdAt: 1, _id: 1 })
+      .select('session season deck result createdAt')
+      .lean();
+
+    const [sessions, seasons] = await Promise.all([
+      Session.find({ _id: { $in: sessionIds } }).select('name'),
+      Season.find({ _id: { $in: [...new Set(matches.map(match => match.season).filter(Boolean))] } })
+        .select('name')
+    ]);
+    const namesById = new Map([...sessions, ...seasons].map(doc => [doc._id.toString(), doc.name]));
+
+    const byId = (field) => streaksBy(matches, match => match[field]?.toString())
+      .map(({ key, ...streaks }) => ({ [field]: key, name: namesById.get(key), ...streaks }));
+
+    res.json({
+      success: true,
+      ...analyzeStreaks(matches, { blockGapMs: blockGap * 60 * 1000, maxLosses }),
+      bySession: byId('session'),
+      byDeck: streaksBy(matches, match => match.deck).map(({ key, ...streaks }) => ({ deck: key, ...streaks })),
+      bySeason: byId('season')
+    });
+
+  } catch (error) {
+    console.error('Match analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while computing match analytics'
+    });
+  }
+});
+
+// @desc    Deck vs opponent matchup matrix
+// @route   GET /api/matches/matrix?scope=session|user|friends|global&session=&formula=&circle=&rank=&turn=&from=&to=&minSample=&interval=&level=
+// @access  Private
+router.get('/matrix', auth, async (req, res) => {
+  try {
+    const { scope = 'user' } = req.query;
+    const minSample = req.query.minSample === undefined ? 1 : parseInt(req.query.minSample);
+    const { filter, errors } = buildMatchFilter(req.query);
+    const { filter: bandFilter, errors: bandErrors } = readRankBand(req.query);
+    const { options: rateOptions, errors: rateErrors } = readRateQuery(req.query);
+    errors.push(...bandErrors, ...rateErrors);
+
+    if (!MATRIX_SCOPES.includes(scope)) errors.push(`scope must be one of ${MATRIX_SCOPES.join(', ')}`);
+    if (scope === 'session' && !req.query.session) errors.push('The session scope needs a session');
+    if (req.query.formula && !hasFormula(req.query.formula)) errors.push(`Unknown points formula "${req.query.formula}"`);
+    if (isNaN(minSample) || minSample < 1) errors.push('minSample must be a positive number of matches');
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const sessionIds = await resolveScopeSessionIds(req.user, { ...req.query, scope });
+    const matrix = await buildMatchupMatrix(
+      { ...filter, ...bandFilter, session: { $in: sessionIds } },
+      { minSample, rateOptions }
+    );
+
+    res.json({
+      success: true,
+      scope,
+      minSample,
+      interval: { method: rateOptions.method, level: rateOptions.level },
+      ...matrix
+    });
+
+  } catch (error) {
+    console.error('Matchup matrix error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while computing matchup matrix'
+    });
+  }
+});
+
 // @desc    Add match to session
 // @route   POST /api/sessions/:id/matches
 // @access  Private
 router.post('/:id/matches', auth, async (req, res) => {
+  const idempotencyKey = req.header('Idempotency-Key');
+  let claimedKey = null;
+
   try {
-    const { deck, opp, result, turn, customPointsAfter } = req.body;
+    const { customPointsAfter } = req.body;
+    const { deck, opp } = await canonicalMatchNames(req.body);
+    const details = pickDetails(req.body);
+    const { result, turn, games, error: seriesError } = readSeries(req.body);
 
     // Validation
+    if (seriesError) {
+      return res.status(400).json({
+        success: false,
+        message: seriesError
+      });
+    }
+
     if (!deck || !opp || !result || !turn) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide deck, opponent, result, and turn order'
+        message: 'Please provide deck, opponent, result, and turn order (or games)'
       });
     }
 
-    const session = await Session.findOne({
-      _id: req.params.id,
-      user: req.user.id
+    // Retries with the same Idempotency-Key get the original match back
+    if (idempotencyKey) {
+      const previous = await IdempotencyKey.findOne({ user: req.user.id, key: idempotencyKey });
+
+      if (previous) {
+        if (previous.session.toString() !== req.params.id) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key was already used for a different session'
+          });
+        }
+
+        if (!previous.match) {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still in progress'
+          });
+        }
+
+        // Replay the original response
+        const session = await Session.findOne({ _id: req.params.id, user: req.user.id })
+          .populate(['matches', 'goals']);
+        const match = await Match.findById(previous.match);
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(201).json({
+          success: true,
+          message: 'Match added successfully',
+          match,
+          session
+        });
+      }
+
+      try {
+        claimedKey = await IdempotencyKey.create({
+          user: req.user.id,
+          key: idempotencyKey,
+          session: req.params.id
+        });
+      } catch (keyError) {
+        if (keyError.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still in progress'
+          });
+        }
+        throw keyError;
+      }
+    }
+
+    const written = await withSessionWrite(req.params.id, req.user.id, readExpectedRevision(req), async (session) => {
+      const matches = await Match.findForSession(session._id);
+      const newMatch = new Match({
+        session: session._id,
+        user: req.user.id,
+        deck,
+        opp,
+        result,
+        turn,
+        ...details,
+        ...(games && { games }),
+        ...(customPointsAfter !== undefined && { customPointsAfter })
+      });
+      matches.push(newMatch);
+
+      // Calculate points
+      recalculatePoints(session, matches, matches.length - 1);
+      await newMatch.save();
+
+      // From here on a retry replays this match instead of adding another
+      if (claimedKey) {
+        claimedKey.match = newMatch._id;
+        await claimedKey.save();
+      }
+
+      await recordChange(session, req.user.id, 'create', [newMatch._id]);
+      return newMatch;
     });
 
-    if (!session) {
+    if (!written) {
+      if (claimedKey) await claimedKey.deleteOne();
       return res.status(404).json({
         success: false,
         message: 'Session not found'
       });
     }
 
-    // Calculate points
-    const lastMatch = session.matches[session.matches.length - 1];
-    const lastPoints = lastMatch ? lastMatch.pointsAfter : session.pointsStart;
-
-    let newPoints;
-    if (customPointsAfter !== undefined) {
-      newPoints = customPointsAfter;
-    } else {
-      if (session.pointsFormula === 'rated') {
-        newPoints = result === 'Win' ? lastPoints + 7 : lastPoints - 7;
-      } else {
-        // DC formula
-        if (result === 'Win') {
-          newPoints = lastPoints + 1;
-        } else {
-          newPoints = lastPoints < 15 ? lastPoints - 0.5 : lastPoints - 1;
-        }
-      }
-    }
-
-    const matchData = {
-      deck,
-      opp,
-      result,
-      turn,
-      pointsBefore: lastPoints,
-      pointsAfter: newPoints,
-      ...(customPointsAfter !== undefined && { customPointsAfter })
-    };
+    const { session, result: newMatch } = written;
 
-    session.matches.push(matchData);
-    await session.save();
+    await Session.updateUserStats(req.user.id);
+    await session.populate(['matches', 'goals']);
 
-    // Get the newly added match
-    const newMatch = session.matches[session.matches.length - 1];
+    publish(req.user.id, 'match-added', {
+      sessionId: session._id,
+      revision: session.revision,
+      match: newMatch
+    });
 
     res.status(201).json({
       success: true,
@@ -75,6 +478,22 @@ router.post('/:id/matches', auth, async (req, res) => {
     });
 
   } catch (error) {
+    // Let the client retry with the same key, unless the match was written
+    if (claimedKey && !claimedKey.match) await claimedKey.deleteOne().catch(() => {});
+
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        revision: error.revision
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Add match error:', error);
     res.status(500).json({
       success: false,
@@ -83,82 +502,245 @@ router.post('/:id/matches', auth, async (req, res) => {
   }
 });
 
-// @desc    Update match
-// @route   PUT /api/sessions/:sessionId/matches/:matchId
+// @desc    Import matches from CSV or JSON
+// @route   POST /api/sessions/:id/matches/import
 // @access  Private
-router.put('/:sessionId/matches/:matchId', auth, async (req, res) => {
+router.post('/:id/matches/import', auth, async (req, res) => {
   try {
-    const { deck, opp, result, turn, customPointsAfter } = req.body;
+    const { format, data, mapping, delimiter, dryRun, skipInvalid } = req.body;
 
-    const session = await Session.findOne({
-      _id: req.params.sessionId,
-      user: req.user.id
+    if (!format || data === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an import format (csv or json) and data'
+      });
+    }
+
+    let prepared;
+    try {
+      prepared = prepareImport({ format, data, mapping, delimiter }, matchEnums);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    const validRows = prepared.rows.filter(row => row.errors.length === 0);
+    const invalidRows = prepared.rows.filter(row => row.errors.length > 0);
+    const summary = {
+      total: prepared.rows.length,
+      valid: validRows.length,
+      invalid: invalidRows.length
+    };
+
+    // Preview: score the merged history on a copy and report per-row results
+    if (dryRun) {
+      const session = await Session.findOne({
+        _id: req.params.id,
+        user: req.user.id
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Score copies tagged with their row so the rows themselves stay as
+      // parsed and each gets its own scored match back
+      const existing = await Match.findForSession(session._id);
+      const previews = prepared.rows.flatMap((row, rowIndex) => (
+        row.errors.length === 0 ? [{ ...row.match, rowIndex }] : []
+      ));
+      const { matches, fromIndex } = mergeByTimestamp(existing.map(match => match.toObject()), previews);
+
+      const scored = new Map(recalculatePoints(session, matches, fromIndex)
+        .filter(match => match.rowIndex !== undefined)
+        .map(({ rowIndex, ...match }) => [rowIndex, match]));
+
+      return res.json({
+        success: true,
+        dryRun: true,
+        mapping: prepared.mapping,
+        summary,
+        rows: prepared.rows.map((row, rowIndex) => (
+          scored.has(rowIndex) ? { ...row, match: scored.get(rowIndex) } : row
+        ))
+      });
+    }
+
+    if (invalidRows.length > 0 && !skipInvalid) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidRows.length} row(s) failed validation`,
+        summary,
+        errors: invalidRows
+      });
+    }
+
+    const names = await Archetype.canonicalize(
+      validRows.flatMap(({ match }) => [match.deck, match.opp])
+    );
+    validRows.forEach(({ match }) => {
+      match.deck = names.get(match.deck) ?? match.deck;
+      match.opp = names.get(match.opp) ?? match.opp;
     });
 
-    if (!session) {
+    const written = await withSessionWrite(req.params.id, req.user.id, readExpectedRevision(req), async (session) => {
+      const existing = await Match.findForSession(session._id);
+      const imported = validRows.map(row => new Match({ ...row.match, session: session._id, user: req.user.id }));
+      const { matches, fromIndex } = mergeByTimestamp(existing, imported);
+
+      recalculatePoints(session, matches, fromIndex);
+      await Match.saveChanged(matches);
+      if (imported.length > 0) {
+        await recordChange(session, req.user.id, 'import', imported.map(match => match._id));
+      }
+
+      validRows.forEach(({ match }) => {
+        if (!session.decks.includes(match.deck)) {
+          session.decks.push(match.deck);
+        }
+      });
+      await session.save();
+      return imported.length;
+    });
+
+    if (!written) {
       return res.status(404).json({
         success: false,
         message: 'Session not found'
       });
     }
 
-    const matchIndex = session.matches.findIndex(
-      match => match._id.toString() === req.params.matchId
-    );
+    const { session } = written;
+    await Session.updateUserStats(req.user.id);
+    await session.populate(['matches', 'goals']);
 
-    if (matchIndex === -1) {
-      return res.status(404).json({
+    publish(req.user.id, 'session-changed', {
+      sessionId: session._id,
+      revision: session.revision
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${validRows.length} match(es)`,
+      summary,
+      errors: invalidRows,
+      session
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({
         success: false,
-        message: 'Match not found'
+        message: error.message,
+        revision: error.revision
       });
     }
+    console.error('Import matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing matches'
+    });
+  }
+});
 
-    // Update match data
-    if (deck) session.matches[matchIndex].deck = deck;
-    if (opp) session.matches[matchIndex].opp = opp;
-    if (result) session.matches[matchIndex].result = result;
-    if (turn) session.matches[matchIndex].turn = turn;
-    if (customPointsAfter !== undefined) {
-      session.matches[matchIndex].customPointsAfter = customPointsAfter;
-      session.matches[matchIndex].pointsAfter = customPointsAfter;
+// @desc    Update match
+// @route   PUT /api/sessions/:sessionId/matches/:matchId
+// @access  Private
+router.put('/:sessionId/matches/:matchId', auth, async (req, res) => {
+  try {
+    const { customPointsAfter } = req.body;
+    const { deck, opp } = await canonicalMatchNames(req.body);
+    const details = pickDetails(req.body);
+    const { result, turn, games, error: seriesError } = readSeries(req.body);
+
+    if (seriesError) {
+      return res.status(400).json({
+        success: false,
+        message: seriesError
+      });
     }
 
-    // Recalculate subsequent matches if points changed
-    if (customPointsAfter !== undefined) {
-      for (let i = matchIndex + 1; i < session.matches.length; i++) {
-        const prevMatch = session.matches[i - 1];
-        session.matches[i].pointsBefore = prevMatch.pointsAfter;
-        
-        // Recalculate points if no custom override
-        if (session.matches[i].customPointsAfter === undefined) {
-          if (session.pointsFormula === 'rated') {
-            session.matches[i].pointsAfter = session.matches[i].result === 'Win' 
-              ? session.matches[i].pointsBefore + 7 
-              : session.matches[i].pointsBefore - 7;
-          } else {
-            // DC formula
-            if (session.matches[i].result === 'Win') {
-              session.matches[i].pointsAfter = session.matches[i].pointsBefore + 1;
-            } else {
-              session.matches[i].pointsAfter = session.matches[i].pointsBefore < 15 
-                ? session.matches[i].pointsBefore - 0.5 
-                : session.matches[i].pointsBefore - 1;
-            }
-          }
-        }
+    const written = await withSessionWrite(req.params.sessionId, req.user.id, readExpectedRevision(req), async (session) => {
+      const matches = await Match.findForSession(session._id);
+      const matchIndex = matches.findIndex(
+        match => match._id.toString() === req.params.matchId
+      );
+
+      if (matchIndex === -1) return null;
+
+      // Update match data
+      const match = matches[matchIndex];
+      const before = snapshot(match);
+      if (deck) match.deck = deck;
+      if (opp) match.opp = opp;
+      if (result) match.result = result;
+      if (turn) match.turn = turn;
+      if (games) {
+        match.games = games;
+      } else if (Array.isArray(req.body.games)) {
+        // An empty list turns the match back into a single game
+        match.games = undefined;
       }
+      if (customPointsAfter !== undefined) {
+        match.customPointsAfter = customPointsAfter;
+      }
+      // A win reason doesn't carry over to a loss and vice versa
+      if (result && details.reason === undefined && !(matchReasons[result] && matchReasons[result][match.reason])) {
+        match.reason = undefined;
+      }
+      match.set(details);
+
+      // Recalculate this match and every match after it
+      recalculatePoints(session, matches, matchIndex);
+      await Match.saveChanged(matches);
+      await recordUpdate(session, req.user.id, match, before);
+      return match;
+    });
+
+    if (!written || !written.result) {
+      return res.status(404).json({
+        success: false,
+        message: written ? 'Match not found' : 'Session not found'
+      });
     }
 
-    await session.save();
+    const { session, result: match } = written;
+
+    await Session.updateUserStats(req.user.id);
+    await session.populate(['matches', 'goals']);
+
+    publish(req.user.id, 'match-updated', {
+      sessionId: session._id,
+      revision: session.revision,
+      match
+    });
 
     res.json({
       success: true,
       message: 'Match updated successfully',
-      match: session.matches[matchIndex],
+      match,
       session
     });
 
   } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        revision: error.revision
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update match error:', error);
     res.status(500).json({
       success: false,
@@ -172,63 +754,56 @@ router.put('/:sessionId/matches/:matchId', auth, async (req, res) => {
 // @access  Private
 router.delete('/:sessionId/matches/:matchId', auth, async (req, res) => {
   try {
-    const session = await Session.findOne({
-      _id: req.params.sessionId,
-      user: req.user.id
+    const written = await withSessionWrite(req.params.sessionId, req.user.id, readExpectedRevision(req), async (session) => {
+      const matches = await Match.findForSession(session._id);
+      const matchIndex = matches.findIndex(
+        match => match._id.toString() === req.params.matchId
+      );
+
+      if (matchIndex === -1) return false;
+
+      const [removed] = matches.splice(matchIndex, 1);
+      await removed.softDelete();
+      await recordChange(session, req.user.id, 'delete', [removed._id]);
+
+      // Recalculate points for subsequent matches
+      recalculatePoints(session, matches, matchIndex);
+      await Match.saveChanged(matches);
+      return true;
     });
 
-    if (!session) {
+    if (!written || !written.result) {
       return res.status(404).json({
         success: false,
-        message: 'Session not found'
+        message: written ? 'Match not found' : 'Session not found'
       });
     }
 
-    const matchIndex = session.matches.findIndex(
-      match => match._id.toString() === req.params.matchId
-    );
-
-    if (matchIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Match not found'
-      });
-    }
+    const { session } = written;
 
-    session.matches.splice(matchIndex, 1);
-
-    // Recalculate points for subsequent matches
-    for (let i = matchIndex; i < session.matches.length; i++) {
-      const prevPoints = i === 0 ? session.pointsStart : session.matches[i - 1].pointsAfter;
-      session.matches[i].pointsBefore = prevPoints;
-      
-      if (session.matches[i].customPointsAfter === undefined) {
-        if (session.pointsFormula === 'rated') {
-          session.matches[i].pointsAfter = session.matches[i].result === 'Win' 
-            ? prevPoints + 7 
-            : prevPoints - 7;
-        } else {
-          // DC formula
-          if (session.matches[i].result === 'Win') {
-            session.matches[i].pointsAfter = prevPoints + 1;
-          } else {
-            session.matches[i].pointsAfter = prevPoints < 15 
-              ? prevPoints - 0.5 
-              : prevPoints - 1;
-          }
-        }
-      }
-    }
+    await Session.updateUserStats(req.user.id);
+    await session.populate(['matches', 'goals']);
 
-    await session.save();
+    publish(req.user.id, 'match-deleted', {
+      sessionId: session._id,
+      revision: session.revision,
+      matchId: req.params.matchId
+    });
 
     res.json({
       success: true,
-      message: 'Match deleted successfully',
+      message: 'Match moved to trash',
       session
     });
 
   } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        revision: error.revision
+      });
+    }
     console.error('Delete match error:', error);
     res.status(500).json({
       success: false,
@@ -242,28 +817,49 @@ router.delete('/:sessionId/matches/:matchId', auth, async (req, res) => {
 // @access  Private
 router.delete('/:id/matches', auth, async (req, res) => {
   try {
-    const session = await Session.findOne({
-      _id: req.params.id,
-      user: req.user.id
+    const written = await withSessionWrite(req.params.id, req.user.id, readExpectedRevision(req), async (session) => {
+      const cleared = await Match.distinct('_id', { session: session._id });
+      if (cleared.length === 0) return false;
+
+      await Match.updateMany(
+        { _id: { $in: cleared } },
+        { deletedAt: new Date() }
+      );
+      await recordChange(session, req.user.id, 'clear', cleared);
+      return true;
     });
 
-    if (!session) {
+    if (!written) {
       return res.status(404).json({
         success: false,
         message: 'Session not found'
       });
     }
 
-    session.matches = [];
-    await session.save();
+    const { session } = written;
+
+    await Session.updateUserStats(req.user.id);
+    await session.populate(['matches', 'goals']);
+
+    publish(req.user.id, 'session-changed', {
+      sessionId: session._id,
+      revision: session.revision
+    });
 
     res.json({
       success: true,
-      message: 'All matches cleared successfully',
+      message: 'All matches moved to trash',
       session
     });
 
   } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        revision: error.revision
+      });
+    }
     console.error('Clear matches error:', error);
     res.status(500).json({
       success: false,
@@ -272,4 +868,105 @@ router.delete('/:id/matches', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @desc    Get a session's match change log
+// @route   GET /api/sessions/:id/history
+// @access  Private
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const changes = await MatchChange.find({ session: session._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit);
+
+    const [canUndo, canRedo] = await Promise.all([
+      MatchChange.exists({ session: session._id, status: 'applied' }),
+      MatchChange.exists({ session: session._id, status: 'undone' })
+    ]);
+
+    res.json({
+      success: true,
+      canUndo: Boolean(canUndo),
+      canRedo: Boolean(canRedo),
+      changes
+    });
+
+  } catch (error) {
+    console.error('Get match history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching match history'
+    });
+  }
+});
+
+// Undo and redo share everything but the step taken and the wording
+const replayHistory = (step, verb) => async (req, res) => {
+  try {
+    const written = await withSessionWrite(req.params.id, req.user.id, readExpectedRevision(req), step);
+
+    if (!written || !written.result) {
+      return res.status(written ? 409 : 404).json({
+        success: false,
+        message: written ? `Nothing to ${verb}` : 'Session not found'
+      });
+    }
+
+    const { session, result: change } = written;
+
+    await Session.updateUserStats(req.user.id);
+    await session.populate(['matches', 'goals']);
+
+    publish(req.user.id, 'session-changed', {
+      sessionId: session._id,
+      revision: session.revision
+    });
+
+    res.json({
+      success: true,
+      message: `Change ${verb === 'undo' ? 'undone' : 'redone'} successfully`,
+      change,
+      session
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError || error instanceof HistoryConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        revision: error.revision
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(`${verb === 'undo' ? 'Undo' : 'Redo'} match change error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while trying to ${verb} match change`
+    });
+  }
+};
+
+// @desc    Undo the latest match change and recompute points
+// @route   POST /api/sessions/:id/undo
+// @access  Private
+router.post('/:id/undo', auth, replayHistory(undoLastChange, 'undo'));
+
+// @desc    Redo the most recently undone match change and recompute points
+// @route   POST /api/sessions/:id/redo
+// @access  Private
+router.post('/:id/redo', auth, replayHistory(redoNextChange, 'redo'));
+
+module.exports = router;
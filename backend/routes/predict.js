@@ -0,0 +1,84 @@
+const express = require('express');
+const Archetype = require('../models/Archetype');
+const { auth } = require('../middleware/auth');
+const { getPredictor, historyFactors } = require('../utils/prediction');
+
+const router = express.Router();
+
+const TURNS = ['1st', '2nd'];
+
+// @desc    Predict the win probability of a match-up from the user's history
+// @route   GET /api/predict?deck=&opp=&turn=1st|2nd
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { turn } = req.query;
+
+    if (!req.query.deck || !req.query.opp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide deck and opp'
+      });
+    }
+
+    if (turn !== undefined && !TURNS.includes(turn)) {
+      return res.status(400).json({
+        success: false,
+        message: `turn must be one of ${TURNS.join(', ')}`
+      });
+    }
+
+    const names = await Archetype.canonicalize([req.query.deck, req.query.opp]);
+    const deck = names.get(req.query.deck);
+    const opp = names.get(req.query.opp);
+
+    const predictor = await getPredictor(req.user._id);
+    const metaCell = predictor.meta.cell(deck, opp);
+
+    res.json({
+      success: true,
+      prediction: {
+        deck,
+        opp,
+        turn: turn || null,
+        ...predictor.predict({ deck, opp, turn }),
+        sample: {
+          matches: predictor.matches.length,
+          metaMatches: metaCell.matches
+        },
+        factors: historyFactors(predictor.matches, { deck, opp, turn })
+      },
+      calibration: predictor.calibration
+    });
+
+  } catch (error) {
+    console.error('Predict error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while predicting match'
+    });
+  }
+});
+
+// @desc    Calibration of the user's prediction model on their past matches
+// @route   GET /api/predict/calibration
+// @access  Private
+router.get('/calibration', auth, async (req, res) => {
+  try {
+    const predictor = await getPredictor(req.user._id);
+
+    res.json({
+      success: true,
+      calibration: predictor.calibration
+    });
+
+  } catch (error) {
+    console.error('Prediction calibration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while measuring prediction calibration'
+    });
+  }
+});
+
+module.exports = router;
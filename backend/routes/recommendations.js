@@ -0,0 +1,66 @@
+const express = require('express');
+const Session = require('../models/Session');
+const Archetype = require('../models/Archetype');
+const { auth } = require('../middleware/auth');
+const { hasFormula } = require('../formulas');
+const { readRankBand } = require('../utils/matchups');
+const { rankRows, readRateQuery } = require('../utils/stats');
+const { recommendDecks } = require('../utils/recommendations');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECOMMENDATION_RANK_BY = ['winRate', 'lowerBound'];
+
+// @desc    Recommend decks by expected win rate against the recent field
+// @route   GET /api/recommendations?days=14&formula=&circle=&rank=&decks=a,b&rankBy=winRate|lowerBound&level=
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 14 : Number(req.query.days);
+    const { formula } = req.query;
+    const { filter: bandFilter, errors } = readRankBand(req.query);
+    const { options: rateOptions, errors: rateErrors } = readRateQuery(req.query, RECOMMENDATION_RANK_BY);
+    errors.push(...rateErrors);
+
+    if (isNaN(days) || days <= 0 || days > 365) errors.push('days must be between 1 and 365');
+    if (formula && !hasFormula(formula)) errors.push(`Unknown points formula "${formula}"`);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(', ')
+      });
+    }
+
+    const since = new Date(Date.now() - days * DAY_MS);
+    const sessionIds = await Session.distinct('_id', { isActive: true, ...(formula && { pointsFormula: formula }) });
+    const typed = req.query.decks ? String(req.query.decks).split(',').map(deck => deck.trim()).filter(Boolean) : [];
+    const names = await Archetype.canonicalize(typed);
+
+    const { field, decks } = await recommendDecks(req.user._id, {
+      fieldFilter: { session: { $in: sessionIds }, createdAt: { $gte: since }, ...bandFilter },
+      decks: typed.map(deck => names.get(deck)),
+      level: rateOptions.level
+    });
+
+    res.json({
+      success: true,
+      window: { days, since },
+      rankBy: rateOptions.rankBy,
+      field,
+      decks: field.matches > 0
+        ? rankRows(decks, { rankBy: rateOptions.rankBy, field: 'expectedWinRate' })
+        : []
+    });
+
+  } catch (error) {
+    console.error('Deck recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recommending decks'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const Season = require('../models/Season');
+const { auth, adminAuth } = require('../middleware/auth');
+const { findSeason, archiveSeason } = require('../utils/seasons');
+
+const router = express.Router();
+
+// @desc    Get all seasons
+// @route   GET /api/seasons
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const seasons = await Season.find().sort({ startsAt: -1 });
+
+    res.json({
+      success: true,
+      count: seasons.length,
+      seasons
+    });
+
+  } catch (error) {
+    console.error('Get seasons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching seasons'
+    });
+  }
+});
+
+// @desc    Get season by id, name or "current"
+// @route   GET /api/seasons/:id
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const season = await findSeason(req.params.id);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      season
+    });
+
+  } catch (error) {
+    console.error('Get season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching season'
+    });
+  }
+});
+
+// @desc    Create season and assign its matches (Admin only)
+// @route   POST /api/seasons
+// @access  Private/Admin
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { name, startsAt, endsAt, startPoints } = req.body;
+
+    const season = await Season.create({ name, startsAt, endsAt, startPoints });
+    const matches = await Season.assignMatches(season);
+
+    res.status(201).json({
+      success: true,
+      message: 'Season created successfully',
+      season,
+      matches
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A season with this name already exists' : error.message
+      });
+    }
+    console.error('Create season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating season'
+    });
+  }
+});
+
+// @desc    Update season, reassigning matches when its dates change (Admin only)
+// @route   PUT /api/seasons/:id
+// @access  Private/Admin
+router.put('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const { name, startsAt, endsAt, startPoints } = req.body;
+    const season = await Season.findById(req.params.id);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    if (name !== undefined) season.name = name;
+    if (startsAt !== undefined) season.startsAt = startsAt;
+    if (endsAt !== undefined) season.endsAt = endsAt;
+    if (startPoints !== undefined) season.startPoints = startPoints;
+
+    const datesChanged = season.isModified('startsAt') || season.isModified('endsAt');
+    await season.save();
+    const matches = datesChanged ? await Season.assignMatches(season) : undefined;
+
+    res.json({
+      success: true,
+      message: 'Season updated successfully',
+      season,
+      matches
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A season with this name already exists' : error.message
+      });
+    }
+    console.error('Update season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating season'
+    });
+  }
+});
+
+// @desc    Archive (or re-archive) a season's standings (Admin only)
+// @route   POST /api/seasons/:id/archive
+// @access  Private/Admin
+router.post('/:id/archive', auth, adminAuth, async (req, res) => {
+  try {
+    const season = await Season.findById(req.params.id);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const standings = await archiveSeason(season);
+
+    res.json({
+      success: true,
+      message: `Season ${season.name} archived`,
+      season,
+      standings
+    });
+
+  } catch (error) {
+    console.error('Archive season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while archiving season'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,19 @@
 const express = require('express');
 const Session = require('../models/Session');
+const Match = require('../models/Match');
+const Archetype = require('../models/Archetype');
+const Season = require('../models/Season');
 const { auth } = require('../middleware/auth');
+const { hasFormula, getFormula, listFormulas } = require('../formulas');
+const { EXPORT_FORMATS, createExportWriter, setExportHeaders } = require('../utils/matchExport');
+const {
+  SessionConflictError,
+  readExpectedRevision,
+  revisionFilter,
+  withSessionWrite
+} = require('../utils/sessionWrite');
+const { renameSessionDecks } = require('../utils/deckNames');
+const { publish } = require('../utils/liveEvents');
 
 const router = express.Router();
 
@@ -13,7 +26,8 @@ const defaultDecks = ["Branded", "Ryzeal Mitsu", "Mitsu Pure", "Mitsu FS", "Orcu
 router.get('/', auth, async (req, res) => {
   try {
     const sessions = await Session.find({ user: req.user.id, isActive: true })
-      .sort({ createdAt: -1 });
+      .sort({ createdAt: -1 })
+      .populate(['matches', 'goals']);
 
     res.json({
       success: true,
@@ -30,6 +44,53 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @desc    Get available points formulas
+// @route   GET /api/sessions/formulas
+// @access  Private
+router.get('/formulas', auth, (req, res) => {
+  res.json({
+    success: true,
+    formulas: listFormulas()
+  });
+});
+
+// @desc    Export all sessions for user
+// @route   GET /api/sessions/export?format=csv|json|tsv
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: 'Export format must be csv, json or tsv'
+    });
+  }
+
+  try {
+    const cursor = Session.find({ user: req.user.id, isActive: true })
+      .sort({ createdAt: 1 })
+      .populate('matches')
+      .cursor();
+
+    setExportHeaders(res, format, `${req.user.username}-sessions`);
+    const writer = createExportWriter(res, format);
+
+    for await (const session of cursor) {
+      writer.write(session);
+    }
+    writer.end();
+
+  } catch (error) {
+    console.error('Export sessions error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting sessions'
+    });
+  }
+});
+
 // @desc    Get single session
 // @route   GET /api/sessions/:id
 // @access  Private
@@ -38,7 +99,7 @@ router.get('/:id', auth, async (req, res) => {
     const session = await Session.findOne({
       _id: req.params.id,
       user: req.user.id
-    });
+    }).populate(['matches', 'goals']);
 
     if (!session) {
       return res.status(404).json({
@@ -47,6 +108,7 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
+    res.set('ETag', `"${session.revision}"`);
     res.json({
       success: true,
       session
@@ -61,12 +123,53 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @desc    Export session matches
+// @route   GET /api/sessions/:id/export?format=csv|json|tsv
+// @access  Private
+router.get('/:id/export', auth, async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: 'Export format must be csv, json or tsv'
+    });
+  }
+
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).populate('matches');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    setExportHeaders(res, format, session.name);
+    const writer = createExportWriter(res, format);
+    writer.write(session);
+    writer.end();
+
+  } catch (error) {
+    console.error('Export session error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting session'
+    });
+  }
+});
+
 // @desc    Create new session
 // @route   POST /api/sessions
 // @access  Private
 router.post('/', auth, async (req, res) => {
   try {
-    const { name, pointsFormula, pointsStart, defaultDeck, description } = req.body;
+    const { name, pointsFormula, pointsStart, startRank, defaultDeck, description } = req.body;
 
     if (!name) {
       return res.status(400).json({
@@ -75,18 +178,48 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    const startPoints = pointsStart || (pointsFormula === 'dc' ? 0 : 1500);
+    const formulaName = pointsFormula || 'rated';
+
+    if (!hasFormula(formulaName)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown points formula "${formulaName}"`
+      });
+    }
+
+    // Without an explicit start, sessions begin at the current season's
+    // starting points for the formula
+    const formula = getFormula(formulaName);
+    const rankError = startRank && formula.encode && formula.validateRank(startRank);
+
+    if (rankError) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid startRank: ${rankError}`
+      });
+    }
+
+    const season = await Season.forDate();
+    const startPoints = startRank && formula.encode
+      ? formula.encode(startRank)
+      : pointsStart ?? (season ? season.startPointsFor(formulaName) : formula.startPoints);
 
     const session = await Session.create({
       user: req.user.id,
       name,
-      pointsFormula: pointsFormula || 'rated',
+      pointsFormula: formulaName,
       pointsStart: startPoints,
       defaultDeck,
       description,
       decks: defaultDecks.slice()
     });
 
+    publish(req.user.id, 'session-changed', {
+      sessionId: session._id,
+      revision: session.revision,
+      created: true
+    });
+
     res.status(201).json({
       success: true,
       message: 'Session created successfully',
@@ -109,27 +242,63 @@ router.put('/:id', auth, async (req, res) => {
   try {
     const { name, defaultDeck, description, tags, isActive } = req.body;
 
+    const expectedRevision = readExpectedRevision(req);
+    const current = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!current || (expectedRevision !== undefined && (current.revision || 0) !== expectedRevision)) {
+      return res.status(current ? 409 : 404).json({
+        success: false,
+        message: current
+          ? 'Session was changed by another request, reload it and try again'
+          : 'Session not found'
+      });
+    }
+
+    const requested = {
+      ...(name && { name }),
+      ...(defaultDeck !== undefined && { defaultDeck }),
+      ...(description !== undefined && { description }),
+      ...(tags && { tags }),
+      ...(isActive !== undefined && { isActive })
+    };
+    // Only real changes bump the revision, so other clients' If-Match values
+    // stay valid through no-op saves
+    const stored = current.toObject();
+    const changes = Object.fromEntries(Object.entries(requested)
+      .filter(([field, value]) => JSON.stringify(stored[field] ?? null) !== JSON.stringify(value ?? null)));
+
+    if (Object.keys(changes).length === 0) {
+      await current.populate(['matches', 'goals']);
+      return res.json({
+        success: true,
+        message: 'Session updated successfully',
+        session: current
+      });
+    }
+
     const session = await Session.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      { 
-        $set: {
-          ...(name && { name }),
-          ...(defaultDeck !== undefined && { defaultDeck }),
-          ...(description !== undefined && { description }),
-          ...(tags && { tags }),
-          ...(isActive !== undefined && { isActive })
-        }
-      },
+      { _id: current._id, ...revisionFilter(current.revision || 0) },
+      { $set: changes, $inc: { revision: 1 } },
       { new: true, runValidators: true }
-    );
+    ).populate(['matches', 'goals']);
 
     if (!session) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: 'Session not found'
+        message: 'Session was changed by another request, reload it and try again'
       });
     }
 
+    // Inactive sessions are left out of the user's overall stats
+    if (changes.isActive !== undefined) {
+      await Session.updateUserStats(req.user.id);
+    }
+
+    publish(req.user.id, 'session-changed', {
+      sessionId: session._id,
+      revision: session.revision
+    });
+
     res.json({
       success: true,
       message: 'Session updated successfully',
@@ -150,10 +319,11 @@ router.put('/:id', auth, async (req, res) => {
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const session = await Session.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user.id
-    });
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { deletedAt: new Date() },
+      { new: true }
+    );
 
     if (!session) {
       return res.status(404).json({
@@ -162,9 +332,16 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    await Session.updateUserStats(req.user.id);
+
+    publish(req.user.id, 'session-changed', {
+      sessionId: session._id,
+      deleted: true
+    });
+
     res.json({
       success: true,
-      message: 'Session deleted successfully'
+      message: 'Session moved to trash'
     });
 
   } catch (error) {
@@ -181,36 +358,56 @@ router.delete('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/:id/decks', auth, async (req, res) => {
   try {
-    const { deckName } = req.body;
+    const { deckName: typedName } = req.body;
 
-    if (!deckName) {
+    if (!typedName) {
       return res.status(400).json({
         success: false,
         message: 'Deck name is required'
       });
     }
 
-    const session = await Session.findOne({
-      _id: req.params.id,
-      user: req.user.id
-    });
+    const deckName = (await Archetype.canonicalize([typedName])).get(typedName);
 
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found'
-      });
-    }
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        user: req.user.id,
+        decks: { $ne: deckName },
+        ...revisionFilter(readExpectedRevision(req))
+      },
+      { $push: { decks: deckName }, $inc: { revision: 1 } },
+      { new: true }
+    ).populate(['matches', 'goals']);
 
-    if (session.decks.includes(deckName)) {
-      return res.status(400).json({
+    if (!session) {
+      const existing = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (existing.decks.includes(deckName)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Deck already exists in this session'
+        });
+      }
+
+      return res.status(409).json({
         success: false,
-        message: 'Deck already exists in this session'
+        message: 'Session was changed by another request, reload it and try again',
+        revision: existing.revision
       });
     }
 
-    session.decks.push(deckName);
-    await session.save();
+    publish(req.user.id, 'session-changed', {
+      sessionId: session._id,
+      revision: session.revision
+    });
 
     res.json({
       success: true,
@@ -232,20 +429,26 @@ router.post('/:id/decks', auth, async (req, res) => {
 // @access  Private
 router.delete('/:id/decks/:deckName', auth, async (req, res) => {
   try {
-    const session = await Session.findOne({
-      _id: req.params.id,
-      user: req.user.id
-    });
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, ...revisionFilter(readExpectedRevision(req)) },
+      { $pull: { decks: req.params.deckName }, $inc: { revision: 1 } },
+      { new: true }
+    ).populate(['matches', 'goals']);
 
     if (!session) {
-      return res.status(404).json({
+      const exists = await Session.exists({ _id: req.params.id, user: req.user.id });
+      return res.status(exists ? 409 : 404).json({
         success: false,
-        message: 'Session not found'
+        message: exists
+          ? 'Session was changed by another request, reload it and try again'
+          : 'Session not found'
       });
     }
 
-    session.decks = session.decks.filter(deck => deck !== req.params.deckName);
-    await session.save();
+    publish(req.user.id, 'session-changed', {
+      sessionId: session._id,
+      revision: session.revision
+    });
 
     res.json({
       success: true,
@@ -262,4 +465,136 @@ router.delete('/:id/decks/:deckName', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Rename or merge `sources` into `target` under the session's write lease and
+// send the response; shared by the rename and merge routes
+const sendDeckRename = async (req, res, sources, target, { merge, label }) => {
+  const deckName = (await Archetype.canonicalize([target])).get(target);
+  // Set instead of writing when the request can't be applied, which leaves
+  // the session's revision alone
+  let rejection = null;
+
+  const written = await withSessionWrite(req.params.id, req.user.id, readExpectedRevision(req), async (session) => {
+    const known = await Promise.all(sources.map(async source =>
+      session.decks.includes(source) ||
+      Boolean(await Match.exists({ session: session._id, $or: [{ deck: source }, { opp: source }] }))
+    ));
+    const missing = sources.filter((source, index) => !known[index]);
+    if (missing.length > 0) {
+      rejection = { status: 404, message: `Deck not found: ${missing.join(', ')}` };
+      return null;
+    }
+
+    if (!merge && sources[0] !== deckName && session.decks.includes(deckName)) {
+      rejection = { status: 400, message: `Deck ${deckName} already exists in this session, merge the decks instead` };
+      return null;
+    }
+
+    return renameSessionDecks(session, sources, deckName);
+  });
+
+  if (!written) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  if (rejection) {
+    return res.status(rejection.status).json({
+      success: false,
+      message: rejection.message
+    });
+  }
+
+  const { session, result } = written;
+
+  // Rollups and decklist stats move over to the new name
+  await Session.updateUserStats(req.user.id);
+  if (result.decklist) await result.decklist.updateStats();
+  await session.populate(['matches', 'goals']);
+
+  publish(req.user.id, 'session-changed', {
+    sessionId: session._id,
+    revision: session.revision
+  });
+
+  res.json({
+    success: true,
+    message: `${label} ${deckName}`,
+    rewrittenMatches: result.matches,
+    decklist: result.decklist,
+    session
+  });
+};
+
+// @desc    Rename deck in session, its matches and decklist
+// @route   PUT /api/sessions/:id/decks/:deckName
+// @access  Private
+router.put('/:id/decks/:deckName', auth, async (req, res) => {
+  try {
+    const { newName } = req.body;
+
+    if (!newName || !newName.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'New deck name is required'
+      });
+    }
+
+    await sendDeckRename(req, res, [req.params.deckName], newName, {
+      merge: false,
+      label: 'Deck renamed to'
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        revision: error.revision
+      });
+    }
+    console.error('Rename deck error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renaming deck'
+    });
+  }
+});
+
+// @desc    Merge decks in session into one, rewriting their matches
+// @route   POST /api/sessions/:id/decks/merge
+// @access  Private
+router.post('/:id/decks/merge', auth, async (req, res) => {
+  try {
+    const { sources, target } = req.body;
+
+    if (!target || !target.trim() || !Array.isArray(sources) || sources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a target deck name and a list of decks to merge into it'
+      });
+    }
+
+    await sendDeckRename(req, res, [...new Set(sources)], target, {
+      merge: true,
+      label: 'Decks merged into'
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        revision: error.revision
+      });
+    }
+    console.error('Merge decks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging decks'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Match = require('../models/Match');
+const DeckList = require('../models/DeckList');
+const { auth } = require('../middleware/auth');
+const { publish } = require('../utils/liveEvents');
+const { withSessionWrite } = require('../utils/sessionWrite');
+const { recordChange } = require('../utils/matchHistory');
+const { RETENTION_DAYS, purgeDate, purgeTrash } = require('../utils/trash');
+
+const router = express.Router();
+
+const TRASHED = { $ne: null };
+const MAX_LISTED_MATCHES = 500;
+const MAX_RESTORE_IDS = 5000;
+
+const withPurgeDate = (doc) => ({
+  ...doc.toObject({ virtuals: false }),
+  purgeAt: purgeDate(doc.deletedAt)
+});
+
+// @desc    List trashed sessions, matches and decklists
+// @route   GET /api/trash
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user.id, deletedAt: TRASHED })
+      .select('name pointsFormula tags isActive createdAt deletedAt')
+      .sort({ deletedAt: -1 });
+
+    // Matches of a trashed session come back with the session, so only
+    // individually trashed matches are listed here
+    const matches = await Match.find({
+      user: req.user.id,
+      deletedAt: TRASHED,
+      session: { $nin: sessions.map(session => session._id) }
+    })
+      .populate('session', 'name pointsFormula')
+      .sort({ deletedAt: -1, createdAt: -1 })
+      .limit(MAX_LISTED_MATCHES);
+
+    const decklists = await DeckList.find({ user: req.user.id, deletedAt: TRASHED })
+      .select('name format tags createdAt deletedAt')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      success: true,
+      retentionDays: RETENTION_DAYS,
+      sessions: sessions.map(withPurgeDate),
+      matches: matches.map(withPurgeDate),
+      decklists: decklists.map(withPurgeDate)
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash'
+    });
+  }
+});
+
+// @desc    Restore a trashed session together with its matches
+// @route   POST /api/trash/sessions/:id/restore
+// @access  Private
+router.post('/sessions/:id/restore', auth, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, deletedAt: TRASHED },
+      { deletedAt: null, $inc: { revision: 1 } },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found in trash'
+      });
+    }
+
+    await Session.updateUserStats(req.user.id);
+    await session.populate(['matches', 'goals']);
+
+    publish(req.user.id, 'session-changed', {
+      sessionId: session._id,
+      revision: session.revision
+    });
+
+    res.json({
+      success: true,
+      message: 'Session restored successfully',
+      session
+    });
+
+  } catch (error) {
+    console.error('Restore session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring session'
+    });
+  }
+});
+
+// @desc    Restore trashed matches into their sessions
+// @route   POST /api/trash/matches/restore
+// @access  Private
+router.post('/matches/restore', auth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_RESTORE_IDS) {
+      return res.status(400).json({
+        success: false,
+        message: `ids must be a list of 1 to ${MAX_RESTORE_IDS} match ids`
+      });
+    }
+
+    const matchIds = ids.filter(id => mongoose.isValidObjectId(id));
+    const sessionIds = await Match.distinct('session', {
+      _id: { $in: matchIds },
+      user: req.user.id,
+      deletedAt: TRASHED
+    });
+
+    const sessions = [];
+    let restored = 0;
+
+    for (const sessionId of sessionIds) {
+      // Returns null while the session itself is in the trash
+      const written = await withSessionWrite(sessionId, req.user.id, undefined, async (session) => {
+        const trashed = await Match.distinct('_id', { _id: { $in: matchIds }, session: session._id, deletedAt: TRASHED });
+        if (trashed.length === 0) return 0;
+
+        // Naming the trash lets the rollup hook see (and mark) these matches
+        await Match.updateMany({ _id: { $in: trashed }, deletedAt: TRASHED }, { deletedAt: null });
+        await recordChange(session, req.user.id, 'restore', trashed);
+
+        // Restored matches slot back in by createdAt, so rerun the whole chain
+        await Match.recalculateSession(session);
+        return trashed.length;
+      });
+
+      if (!written) continue;
+
+      restored += written.result;
+      sessions.push(written.session);
+    }
+
+    if (restored === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No restorable matches found in trash'
+      });
+    }
+
+    await Session.updateUserStats(req.user.id);
+
+    for (const session of sessions) {
+      await session.populate(['matches', 'goals']);
+      publish(req.user.id, 'session-changed', {
+        sessionId: session._id,
+        revision: session.revision
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${restored} match(es) restored successfully`,
+      restored,
+      sessions
+    });
+
+  } catch (error) {
+    console.error('Restore matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring matches'
+    });
+  }
+});
+
+// @desc    Restore a trashed decklist
+// @route   POST /api/trash/decklists/:id/restore
+// @access  Private
+router.post('/decklists/:id/restore', auth, async (req, res) => {
+  try {
+    const decklist = await DeckList.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, deletedAt: TRASHED },
+      { deletedAt: null },
+      { new: true }
+    );
+
+    if (!decklist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Decklist not found in trash'
+      });
+    }
+
+    // Stats weren't maintained while it was in the trash
+    await decklist.updateStats();
+    await decklist.save();
+
+    res.json({
+      success: true,
+      message: 'Decklist restored successfully',
+      decklist
+    });
+
+  } catch (error) {
+    console.error('Restore decklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring decklist'
+    });
+  }
+});
+
+// @desc    Empty the trash, permanently deleting everything in it
+// @route   DELETE /api/trash
+// @access  Private
+router.delete('/', auth, async (req, res) => {
+  try {
+    const purged = await purgeTrash({ before: new Date(), user: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Trash emptied successfully',
+      purged
+    });
+
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while emptying trash'
+    });
+  }
+});
+
+module.exports = router;
@@ -100,7 +100,8 @@ router.get('/:id/sessions', auth, adminAuth, async (req, res) => {
     const Session = require('../models/Session');
     
     const sessions = await Session.find({ user: req.params.id, isActive: true })
-      .sort({ createdAt: -1 });
+      .sort({ createdAt: -1 })
+      .populate('matches');
 
     res.json({
       success: true,
@@ -0,0 +1,84 @@
+// Moves matches embedded in Session documents into the Match collection.
+//
+// Usage: node scripts/migrate-matches.js [--dry-run]
+//
+// Safe to re-run: matches keep their original _id, already-migrated matches
+// are skipped, and the embedded array is only removed once every match from
+// that session is in the Match collection.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Session = require('../models/Session');
+const Match = require('../models/Match');
+// Registered for the rollup rebuild
+require('../models/Rollup');
+require('../models/PendingDay');
+require('../models/DeckList');
+require('../models/User');
+const { rebuildRollups } = require('../utils/rollups');
+
+const DUPLICATE_KEY = 11000;
+
+const migrateSession = async (raw, dryRun) => {
+  const matches = raw.matches.map(match => ({
+    ...match,
+    session: raw._id,
+    user: raw.user
+  }));
+
+  if (dryRun) return matches.length;
+
+  try {
+    await Match.insertMany(matches, { ordered: false });
+  } catch (error) {
+    const failures = error.writeErrors || [];
+    if (failures.some(failure => failure.code !== DUPLICATE_KEY) || failures.length === 0) {
+      throw error;
+    }
+  }
+
+  const migrated = await Match.countDocuments({
+    _id: { $in: matches.map(match => match._id) }
+  });
+
+  if (migrated !== matches.length) {
+    throw new Error(`Session ${raw._id}: only ${migrated} of ${matches.length} matches migrated`);
+  }
+
+  await Session.collection.updateOne({ _id: raw._id }, { $unset: { matches: '' } });
+  return matches.length;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  await connectDB();
+  await Match.syncIndexes();
+
+  // The matches path is no longer in the schema, so read the raw documents
+  const cursor = Session.collection.find({ 'matches.0': { $exists: true } });
+  let sessions = 0;
+  let matches = 0;
+
+  for await (const raw of cursor) {
+    matches += await migrateSession(raw, dryRun);
+    sessions++;
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Migrated ${matches} matches from ${sessions} sessions`);
+
+  // insertMany skips the hooks that maintain the rollups, so rebuild rollups
+  // and user stats from the new collection
+  if (!dryRun) {
+    const users = await Session.distinct('user');
+    for (const userId of users) {
+      await rebuildRollups(userId);
+    }
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Match migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,58 @@
+// Recomputes the statistics rollups, decklist stats, standings and user
+// stats from the matches, for repairs (e.g. after matches were edited
+// directly in the database). The server backfills users without rollups on
+// startup; this rebuilds everyone's. Decklist win
+// rates still stored as "53.2%" strings are converted to numbers first.
+//
+// Usage: node scripts/rebuild-rollups.js [--user <id>]
+//
+// Safe to re-run: every user's rollups are rewritten from scratch.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Session = require('../models/Session');
+const Rollup = require('../models/Rollup');
+const DeckList = require('../models/DeckList');
+const PendingDay = require('../models/PendingDay');
+// Registered for the rebuild
+require('../models/Match');
+require('../models/User');
+const { rebuildRollups } = require('../utils/rollups');
+
+const run = async () => {
+  const userIndex = process.argv.indexOf('--user');
+  const only = userIndex === -1 ? null : process.argv[userIndex + 1];
+
+  if (only !== null && !mongoose.isValidObjectId(only)) {
+    throw new Error(`--user needs a user id, got "${only}"`);
+  }
+
+  await connectDB();
+  await Rollup.syncIndexes();
+
+  // Decklists whose stats the rebuild doesn't reach still need numeric rates
+  const converted = await DeckList.convertLegacyRates();
+  console.log(`Converted win rates of ${converted} decklist${converted === 1 ? '' : 's'}`);
+
+  // Users with rollups or marks but no sessions left still need theirs cleared
+  const users = only
+    ? [only]
+    : [...new Set([
+      ...await Session.distinct('user'),
+      ...await Rollup.distinct('user'),
+      ...await PendingDay.distinct('user')
+    ].map(String))];
+
+  for (const userId of users) {
+    await rebuildRollups(userId);
+  }
+
+  console.log(`Rebuilt rollups for ${users.length} user${users.length === 1 ? '' : 's'}`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Rollup rebuild failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
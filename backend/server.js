@@ -7,6 +7,10 @@ const cors = require('cors');
 const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { scheduleSeasonRollover } = require('./utils/seasons');
+const { scheduleSnapshots } = require('./utils/snapshots');
+const { scheduleRollupUpkeep } = require('./utils/rollups');
 
 const app = express();
 
@@ -35,7 +39,13 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  scheduleTrashPurge();
+  scheduleSeasonRollover();
+  scheduleSnapshots();
+  scheduleRollupUpkeep();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Models
@@ -43,6 +53,13 @@ const User = require('./models/User');
 const Session = require('./models/Session');
 const Match = require('./models/Match');
 const DeckList = require('./models/DeckList');
+const Archetype = require('./models/Archetype');
+const Season = require('./models/Season');
+const Standing = require('./models/Standing');
+const Goal = require('./models/Goal');
+const Rollup = require('./models/Rollup');
+const PendingDay = require('./models/PendingDay');
+const LeaderboardSnapshot = require('./models/LeaderboardSnapshot');
 const TierItem = require('./models/TierItem');
 const Tournament = require('./models/Tournament');
 
@@ -58,6 +75,13 @@ app.use('/api/leaderboard', require('./routes/leaderboard'));
 app.use('/api/tier-list', require('./routes/tierList'));
 app.use('/api/tournaments', require('./routes/tournaments'));
 app.use('/api/upload', require('./routes/upload'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/archetypes', require('./routes/archetypes'));
+app.use('/api/seasons', require('./routes/seasons'));
+app.use('/api/goals', require('./routes/goals'));
+app.use('/api/predict', require('./routes/predict'));
+app.use('/api/recommendations', require('./routes/recommendations'));
 
 // Serve frontend
 app.get('/', (req, res) => {
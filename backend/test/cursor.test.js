@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+
+const id = new mongoose.Types.ObjectId('65a1b2c3d4e5f60718293a4b');
+
+test('cursors round-trip dates, numbers and strings', () => {
+  const createdAt = new Date('2024-03-01T12:30:00.000Z');
+
+  const byDate = decodeCursor(encodeCursor({ _id: id, createdAt }, 'createdAt'));
+  assert.ok(byDate.value instanceof Date);
+  assert.equal(byDate.value.toISOString(), createdAt.toISOString());
+  assert.ok(byDate.id.equals(id));
+
+  assert.equal(decodeCursor(encodeCursor({ _id: id, pointsAfter: 1520 }, 'pointsAfter')).value, 1520);
+  assert.equal(decodeCursor(encodeCursor({ _id: id, deck: 'Snake-Eye' }, 'deck')).value, 'Snake-Eye');
+});
+
+test('cursors are URL safe', () => {
+  const cursor = encodeCursor({ _id: id, deck: '??>>~~' }, 'deck');
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+});
+
+test('decodeCursor rejects tampered cursors', () => {
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor(''), null);
+  const badId = Buffer.from(JSON.stringify({ v: 1, id: 'nope' })).toString('base64url');
+  assert.equal(decodeCursor(badId), null);
+});
+
+test('afterCursor continues past the last item in either direction', () => {
+  const cursor = { value: 1520, id };
+
+  assert.deepEqual(afterCursor(cursor, 'pointsAfter', -1), {
+    $or: [
+      { pointsAfter: { $lt: 1520 } },
+      { pointsAfter: 1520, _id: { $lt: id } }
+    ]
+  });
+  assert.deepEqual(afterCursor(cursor, 'pointsAfter', 1).$or[0], { pointsAfter: { $gt: 1520 } });
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { gamesOf, deriveSeries } = require('../utils/games');
+
+// Games from a string like 'WLW', the first going first and then alternating
+const games = (results) => [...results].map((letter, i) => ({
+  turn: i % 2 === 0 ? '1st' : '2nd',
+  result: letter === 'W' ? 'Win' : 'Loss'
+}));
+
+test('deriveSeries decides two-game and three-game series', () => {
+  assert.deepEqual(deriveSeries(games('WW')), { result: 'Win', turn: '1st', score: '2-0' });
+  assert.deepEqual(deriveSeries(games('LWL')), { result: 'Loss', turn: '1st', score: '1-2' });
+  assert.deepEqual(deriveSeries(games('WLW')), { result: 'Win', turn: '1st', score: '2-1' });
+});
+
+test('deriveSeries takes the turn of the first game', () => {
+  const [first, second] = games('WW');
+  assert.equal(deriveSeries([{ ...first, turn: '2nd' }, second]).turn, '2nd');
+});
+
+test('deriveSeries rejects undecided series', () => {
+  assert.deepEqual(deriveSeries(games('WL')), { error: 'Series is undecided at 1-1' });
+  assert.deepEqual(deriveSeries(games('W')), { error: 'Series is undecided at 1-0' });
+  assert.deepEqual(deriveSeries([]), { error: 'Series is undecided at 0-0' });
+});
+
+test('deriveSeries rejects games after the series was decided', () => {
+  assert.deepEqual(deriveSeries(games('WWL')), { error: 'Game 3 was played after the series was decided' });
+  assert.deepEqual(deriveSeries(games('LLW')), { error: 'Game 3 was played after the series was decided' });
+});
+
+test('gamesOf treats a match without games as a single game', () => {
+  assert.deepEqual(gamesOf({ turn: '2nd', result: 'Win' }), [{ turn: '2nd', result: 'Win' }]);
+  assert.deepEqual(gamesOf({ turn: '2nd', result: 'Win', games: [] }), [{ turn: '2nd', result: 'Win' }]);
+  assert.deepEqual(gamesOf({ turn: '1st', result: 'Win', games: games('WW') }), games('WW'));
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerFormula } = require('../formulas');
+const Goal = require('../models/goal');
+const { projectGoal, cachedProjection } = require('../utils/goals');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-06-15T12:00:00Z');
+
+// 10 points per win, 10 lost per loss, and it needs the session it scores in
+const sessionsSeen = [];
+registerFormula('flat-test', {
+  label: 'Flat',
+  startPoints: 0,
+  calculate({ match, pointsBefore, session }) {
+    sessionsSeen.push(session.pointsFormula);
+    return pointsBefore + (match.result === 'Win' ? 10 : -10);
+  }
+});
+
+const goal = (fields = {}) => new Goal({
+  user: '65a1b2c3d4e5f60718293a4b',
+  season: '65a1b2c3d4e5f60718293a4c',
+  formula: 'flat-test',
+  startPoints: 0,
+  targetPoints: 100,
+  ...fields
+});
+
+// One match a day over the last `letters.length` days ('W'/'L'), ending on 0 points
+const scope = (letters, currentPoints = 0) => ({
+  matches: [...letters].map((letter, i) => ({
+    _id: `m${i}`,
+    result: letter === 'W' ? 'Win' : 'Loss',
+    createdAt: new Date(NOW.getTime() - (letters.length - i) * DAY),
+    pointsAfter: currentPoints
+  })),
+  currentPoints,
+  session: { pointsFormula: 'flat-test', pointsStart: 0 }
+});
+
+test('projectGoal reports a reached goal without simulating', async () => {
+  const projection = await projectGoal(goal(), scope('WW', 120), { now: NOW });
+
+  assert.equal(projection.achieved, true);
+  assert.equal(projection.reachProbability, 1);
+  assert.equal(projection.requiredGames, null);
+});
+
+test('projectGoal simulates through the formula with the goal session', async () => {
+  sessionsSeen.length = 0;
+  const projection = await projectGoal(goal(), scope('WWWLWWWLWW'), { now: NOW });
+
+  assert.ok(sessionsSeen.length > 0);
+  assert.ok(sessionsSeen.every(formula => formula === 'flat-test'));
+  assert.equal(projection.sample, 10);
+  assert.ok(projection.reachProbability > 0.9);
+  // 100 points at a net +10 per win takes at least 10 games
+  assert.ok(projection.requiredGames.low >= 10);
+  assert.ok(projection.requiredGames.low <= projection.requiredGames.expected);
+  assert.ok(projection.requiredGames.expected <= projection.requiredGames.high);
+});
+
+test('projectGoal is the same for the same history', async () => {
+  const history = scope('WLWWLWWLWL');
+  const first = await projectGoal(goal({ _id: '65a1b2c3d4e5f60718293a4d' }), history, { now: NOW });
+  const second = await projectGoal(goal({ _id: '65a1b2c3d4e5f60718293a4d' }), history, { now: NOW });
+
+  assert.deepEqual(first, second);
+});
+
+test('projectGoal needs fewer games at a higher win rate', async () => {
+  const strong = await projectGoal(goal(), scope('WWWWWWWWWL'), { now: NOW });
+  const weak = await projectGoal(goal(), scope('WWWWWWLLLL'), { now: NOW });
+
+  assert.ok(strong.requiredGames.expected < weak.requiredGames.expected);
+});
+
+test('projectGoal gives no estimate when most runs never get there', async () => {
+  const projection = await projectGoal(goal(), scope('LLLLLLLLLLLLLLLLLLLW'), { now: NOW });
+
+  assert.ok(projection.reachProbability < 0.5);
+  assert.equal(projection.requiredGames, null);
+  assert.equal(projection.projectedDate, null);
+});
+
+test('projectGoal dates the target from the recent pace', async () => {
+  const deadline = new Date(NOW.getTime() + 365 * DAY);
+  const projection = await projectGoal(goal({ deadline }), scope('WWWWWWWWWL'), { now: NOW });
+
+  // One match a day since the first of the window
+  assert.equal(projection.pace.matchesPerDay, 1);
+  const days = (projection.projectedDate.expected - NOW) / DAY;
+  assert.ok(Math.abs(days - projection.requiredGames.expected) < 1e-6);
+  assert.equal(projection.onTrack, true);
+  assert.equal(projection.deadlineProbability, 1);
+});
+
+test('cachedProjection reuses a projection until the matches change', async () => {
+  const cachedGoal = goal({ _id: '65a1b2c3d4e5f60718293a4e' });
+  const history = scope('WWLWW');
+
+  const first = await cachedProjection(cachedGoal, history, { now: NOW });
+  assert.equal(await cachedProjection(cachedGoal, history, { now: NOW }), first);
+
+  const later = await cachedProjection(cachedGoal, scope('WWLWWW'), { now: NOW });
+  assert.notEqual(later, first);
+  assert.equal(later.sample, 6);
+});
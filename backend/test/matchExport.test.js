@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, formatRow } = require('../utils/csv');
+const { EXPORT_COLUMNS, sessionRows, createExportWriter } = require('../utils/matchExport');
+
+// A session with one match per letter of `results` (e.g. 'WWL'), 10 points
+// up per win and down per loss
+const session = (results) => {
+  let points = 1500;
+  return {
+    name: 'Ladder climb',
+    pointsFormula: 'rated',
+    matches: [...results].map((letter, i) => {
+      const pointsBefore = points;
+      points += letter === 'W' ? 10 : -10;
+      return {
+        deck: 'Snake-Eye',
+        opp: i % 2 ? 'Tenpai' : 'Yubel',
+        result: letter === 'W' ? 'Win' : 'Loss',
+        turn: '1st',
+        pointsBefore,
+        pointsAfter: points,
+        createdAt: new Date(Date.UTC(2024, 0, 1, i))
+      };
+    })
+  };
+};
+
+// Collects what the writer sends
+const response = () => ({
+  body: '',
+  ended: false,
+  write(chunk) { this.body += chunk; },
+  end() { this.ended = true; }
+});
+
+test('sessionRows tracks streaks as signed runs', () => {
+  const rows = [...sessionRows(session('WWLLLWL'))];
+  assert.deepEqual(rows.map(row => row.streak), [1, 2, -1, -2, -3, 1, -1]);
+});
+
+test('sessionRows keeps a running record and win rate', () => {
+  const rows = [...sessionRows(session('WLWW'))];
+  assert.deepEqual(rows.map(row => [row.wins, row.losses, row.runningWinRate]), [
+    [1, 0, 100],
+    [1, 1, 50],
+    [2, 1, 66.7],
+    [3, 1, 75]
+  ]);
+});
+
+test('sessionRows numbers games and describes each match', () => {
+  const [first, second] = sessionRows(session('WL'));
+  assert.equal(first.game, 1);
+  assert.equal(second.game, 2);
+  assert.equal(first.matchup, 'Snake-Eye vs Yubel');
+  assert.equal(first.date, '2024-01-01T00:00:00.000Z');
+  assert.equal(second.pointsDelta, -10);
+  assert.equal(first.gameScore, null);
+  assert.equal(first.rank, null);
+});
+
+test('formatRow round-trips through parseCsv and defuses formulas', () => {
+  const values = ['Snake-Eye, Fire', 'said "gg"', 'two\nlines', 3, null];
+  assert.deepEqual(parseCsv(formatRow(values)), [['Snake-Eye, Fire', 'said "gg"', 'two\nlines', '3', '']]);
+  assert.equal(formatRow(['=SUM(A1)', '-5']), "'=SUM(A1),'-5\r\n");
+  assert.equal(formatRow(['a\tb', 'c'], { delimiter: '\t' }), 'a b\tc\r\n');
+});
+
+test('createExportWriter writes a CSV header and a line per match', () => {
+  const res = response();
+  const writer = createExportWriter(res, 'csv');
+  writer.write(session('WL'));
+  writer.write(session('W'));
+  writer.end();
+
+  const [header, ...lines] = parseCsv(res.body.replace(/^\ufeff/, ''));
+  assert.deepEqual(header, EXPORT_COLUMNS);
+  assert.equal(lines.length, 3);
+  assert.equal(lines[1][EXPORT_COLUMNS.indexOf('streak')], '-1');
+  assert.equal(res.ended, true);
+});
+
+test('createExportWriter writes JSON as one array across sessions', () => {
+  const res = response();
+  const writer = createExportWriter(res, 'json');
+  writer.write(session('WL'));
+  writer.write(session(''));
+  writer.write(session('W'));
+  writer.end();
+
+  const rows = JSON.parse(res.body);
+  assert.deepEqual(rows.map(row => row.result), ['Win', 'Loss', 'Win']);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../utils/csv');
+const { prepareImport, mergeByTimestamp } = require('../utils/matchImport');
+
+const ENUMS = { result: ['Win', 'Loss'], turn: ['1st', '2nd'] };
+
+test('parseCsv handles quoted fields, escaped quotes and CRLF', () => {
+  const text = 'deck,notes\r\n"Snake-Eye, Fire","said ""gg"""\r\nLabrynth,"two\nlines"\n';
+  assert.deepEqual(parseCsv(text), [
+    ['deck', 'notes'],
+    ['Snake-Eye, Fire', 'said "gg"'],
+    ['Labrynth', 'two\nlines']
+  ]);
+});
+
+test('parseCsv drops blank lines and keeps a last line without a newline', () => {
+  assert.deepEqual(parseCsv('a,b\n\n \n1,2'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCsv('a;b\n1;2', { delimiter: ';' }), [['a', 'b'], ['1', '2']]);
+});
+
+test('prepareImport reads CSV rows with result and turn aliases', () => {
+  const data = 'Deck,Opp,Result,Turn\nSnake-Eye,Labrynth,w,first\nSnake-Eye,Tenpai,Lost,going second\n';
+  const { rows } = prepareImport({ format: 'csv', data }, ENUMS);
+
+  assert.deepEqual(rows, [
+    { row: 2, match: { deck: 'Snake-Eye', opp: 'Labrynth', result: 'Win', turn: '1st' }, errors: [] },
+    { row: 3, match: { deck: 'Snake-Eye', opp: 'Tenpai', result: 'Loss', turn: '2nd' }, errors: [] }
+  ]);
+});
+
+test('prepareImport applies mappings and reads timestamps and points', () => {
+  const data = [{ mine: 'Tenpai', theirs: 'Yubel', outcome: 'Win', turn: '2', at: '1700000000000', points: '1520' }];
+  const { rows } = prepareImport({
+    format: 'json',
+    data,
+    mapping: { deck: 'mine', opp: 'theirs', result: 'outcome', timestamp: 'at' }
+  }, ENUMS);
+
+  assert.deepEqual(rows[0].errors, []);
+  assert.deepEqual(rows[0].match, {
+    deck: 'Tenpai',
+    opp: 'Yubel',
+    result: 'Win',
+    turn: '2nd',
+    createdAt: new Date(1700000000000),
+    customPointsAfter: 1520
+  });
+});
+
+test('prepareImport reports every problem of a row', () => {
+  const data = [{ deck: '', opp: 'Yubel', result: 'draw', turn: '3rd', timestamp: 'soon', points: 'many' }];
+  const [row] = prepareImport({ format: 'json', data }, ENUMS).rows;
+
+  assert.deepEqual(row.errors, [
+    'deck is required',
+    'result must be one of Win, Loss (got "draw")',
+    'turn must be one of 1st, 2nd (got "3rd")',
+    'timestamp "soon" is not a valid date',
+    'points "many" is not a number'
+  ]);
+});
+
+test('prepareImport reports rows that are not objects', () => {
+  const data = [null, 'Yubel', { deck: 'Tenpai', opp: 'Yubel', result: 'Loss', turn: '1st' }];
+  const { rows } = prepareImport({ format: 'json', data }, ENUMS);
+
+  assert.deepEqual(rows.map(row => row.errors.length), [1, 1, 0]);
+  assert.match(rows[0].errors[0], /row must be an object/);
+});
+
+test('prepareImport rejects payloads of the wrong shape', () => {
+  assert.throws(() => prepareImport({ format: 'json', data: { deck: 'Tenpai' } }, ENUMS), /must be an array/);
+  assert.throws(() => prepareImport({ format: 'csv', data: [] }, ENUMS), /must be a string/);
+  assert.throws(() => prepareImport({ format: 'xml', data: '' }, ENUMS), /csv or json/);
+});
+
+test('mergeByTimestamp slots imported matches in by time', () => {
+  const at = hour => new Date(Date.UTC(2024, 0, 1, hour));
+  const existing = [{ id: 'a', createdAt: at(1) }, { id: 'b', createdAt: at(3) }, { id: 'c', createdAt: at(5) }];
+  const imported = [{ id: 'x', createdAt: at(4) }, { id: 'y', createdAt: at(6) }];
+
+  const { matches, fromIndex } = mergeByTimestamp(existing, imported);
+  assert.deepEqual(matches.map(match => match.id), ['a', 'b', 'x', 'c', 'y']);
+  assert.equal(fromIndex, 2);
+});
+
+test('mergeByTimestamp without imported matches changes nothing', () => {
+  const existing = [{ id: 'a', createdAt: new Date(1) }];
+  assert.deepEqual(mergeByTimestamp(existing, []), { matches: existing, fromIndex: 1 });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PRIOR_SD, fitModel, predictWith } = require('../utils/prediction');
+
+// Meta prior with a fixed logit for every match-up
+const flatMeta = (offset = 0) => ({
+  offset: () => offset,
+  cell: () => ({ matches: 0, wins: 0 })
+});
+
+const repeat = (count, match) => Array.from({ length: count }, () => ({ ...match }));
+
+// 30-10 with Snake-Eye going first, 5-15 with Tenpai going second
+const HISTORY = [
+  ...repeat(30, { deck: 'Snake-Eye', opp: 'Branded', turn: '1st', result: 'Win' }),
+  ...repeat(10, { deck: 'Snake-Eye', opp: 'Branded', turn: '1st', result: 'Loss' }),
+  ...repeat(5, { deck: 'Tenpai', opp: 'Branded', turn: '2nd', result: 'Win' }),
+  ...repeat(15, { deck: 'Tenpai', opp: 'Branded', turn: '2nd', result: 'Loss' })
+];
+
+test('fitModel finds the posterior mode', async () => {
+  const model = await fitModel(HISTORY, flatMeta());
+
+  // At the mode the likelihood gradient balances the prior's pull
+  const gradient = model.layout.precision.map((lambda, i) => -lambda * model.beta[i]);
+  model.rows.forEach(row => {
+    const eta = row.offset + row.features.reduce((sum, [i, value]) => sum + model.beta[i] * value, 0);
+    const residual = row.y - 1 / (1 + Math.exp(-eta));
+    row.features.forEach(([i, value]) => { gradient[i] += residual * value; });
+  });
+  gradient.forEach(value => assert.ok(Math.abs(value) < 1e-6));
+
+  assert.deepEqual([...model.layout.index.keys()], [
+    'skill', 'turn',
+    'deck:Snake-Eye', 'opp:Branded', 'matchup:Snake-Eye|Branded',
+    'deck:Tenpai', 'matchup:Tenpai|Branded'
+  ]);
+  assert.equal(model.layout.precision[0], 1 / (PRIOR_SD.skill * PRIOR_SD.skill));
+});
+
+test('fitModel without matches stays at the prior', async () => {
+  const model = await fitModel([], flatMeta());
+  assert.deepEqual(model.beta, [0, 0]);
+});
+
+test('predictWith shrinks observed win rates toward the meta', async () => {
+  const model = await fitModel(HISTORY, flatMeta());
+  const strong = predictWith(model, { deck: 'Snake-Eye', opp: 'Branded', turn: '1st' });
+  const weak = predictWith(model, { deck: 'Tenpai', opp: 'Branded', turn: '2nd' });
+
+  // Observed 75% and 25%, pulled toward the 50% meta
+  assert.ok(strong.probability > 0.6 && strong.probability < 0.75);
+  assert.ok(weak.probability > 0.25 && weak.probability < 0.4);
+  [strong, weak].forEach(prediction => {
+    assert.ok(prediction.low < prediction.probability && prediction.probability < prediction.high);
+  });
+  assert.equal(strong.effects.meta, 0);
+  assert.ok(strong.effects.deck > 0 && weak.effects.deck < 0);
+});
+
+test('predictWith falls back to the meta for unseen decks', async () => {
+  const model = await fitModel([], flatMeta(Math.log(3)));
+  const prediction = predictWith(model, { deck: 'Maliss', opp: 'Ryzeal', turn: '1st' });
+
+  // The meta's 75%, averaged over the prior spread of skill and turn effects
+  const variance = PRIOR_SD.skill ** 2 + PRIOR_SD.turn ** 2;
+  const expected = 1 / (1 + Math.exp(-Math.log(3) / Math.sqrt(1 + Math.PI * variance / 8)));
+  assert.ok(Math.abs(prediction.eta - Math.log(3)) < 1e-12);
+  assert.ok(Math.abs(prediction.probability - expected) < 1e-9);
+  assert.ok(prediction.low < 0.75 && prediction.high > 0.75);
+  assert.deepEqual(prediction.effects, { meta: 1.099, skill: 0, turn: 0, deck: 0, opp: 0, matchup: 0 });
+});
+
+test('predictWith intervals narrow with more matches', async () => {
+  const few = await fitModel(HISTORY.filter((match, i) => i % 4 === 0), flatMeta());
+  const many = await fitModel(HISTORY, flatMeta());
+  const match = { deck: 'Snake-Eye', opp: 'Branded', turn: '1st' };
+  const width = prediction => prediction.high - prediction.low;
+
+  assert.ok(width(predictWith(many, match)) < width(predictWith(few, match)));
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ranked = require('../formulas/ranked');
+
+// Play `results` (e.g. 'WWL') from `start`, returning the rank after each match
+const play = (start, results) => {
+  const history = [{ rank: { ...start, protected: start.protected || false } }];
+  return [...results].map(letter => {
+    const previous = history[history.length - 1];
+    const { points, rank } = ranked.calculate({
+      match: { result: letter === 'W' ? 'Win' : 'Loss' },
+      pointsBefore: ranked.encode(previous.rank),
+      history
+    });
+    history.push({ pointsAfter: points, rank });
+    return rank;
+  });
+};
+
+const position = ({ tier, level, pips }) => `${tier} ${level}:${pips}`;
+
+test('encode and describe round-trip ladder positions', () => {
+  assert.equal(ranked.encode({ tier: 'Rookie' }), 0);
+  assert.equal(ranked.encode({ tier: 'Gold', level: 3, pips: 2 }), 322);
+  assert.equal(ranked.encode({ tier: 'Master', level: 1, pips: 5 }), 645);
+
+  const rank = ranked.describe(322);
+  assert.deepEqual(
+    { tier: rank.tier, level: rank.level, pips: rank.pips, label: rank.label },
+    { tier: 'Gold', level: 3, pips: 2, label: 'Gold 3' }
+  );
+});
+
+test('encode keeps ranks sortable across tiers and levels', () => {
+  const ladder = [
+    { tier: 'Silver', level: 1, pips: 3 },
+    { tier: 'Gold', level: 5, pips: 0 },
+    { tier: 'Gold', level: 4, pips: 0 },
+    { tier: 'Master', level: 5, pips: 0 }
+  ].map(ranked.encode);
+
+  assert.deepEqual([...ladder].sort((a, b) => a - b), ladder);
+});
+
+test('validateRank accepts ranks on the ladder', () => {
+  assert.equal(ranked.validateRank({ tier: 'Rookie' }), null);
+  assert.equal(ranked.validateRank({ tier: 'Silver', level: 1, pips: 3 }), null);
+  // The top of the ladder keeps full pips
+  assert.equal(ranked.validateRank({ tier: 'Master', level: 1, pips: 5 }), null);
+});
+
+test('validateRank rejects ranks the ladder does not have', () => {
+  assert.match(ranked.validateRank({ tier: 'Emerald' }), /tier must be one of Rookie/);
+  assert.match(ranked.validateRank(null), /tier must be one of/);
+  assert.match(ranked.validateRank({ tier: 'Gold', level: 6 }), /level must be a whole number from 1 to 5/);
+  assert.match(ranked.validateRank({ tier: 'Gold', level: 2.5 }), /level must be/);
+  assert.match(ranked.validateRank({ tier: 'Gold', level: 2, pips: 5 }), /Gold 2 pips must be a whole number from 0 to 4/);
+  assert.match(ranked.validateRank({ tier: 'Master', level: 2, pips: 5 }), /from 0 to 4/);
+  assert.match(ranked.validateRank({ tier: 'Bronze', level: 3, pips: -1 }), /from 0 to 2/);
+});
+
+test('wins fill pips and promote with protection', () => {
+  const ranks = play({ tier: 'Rookie', level: 5, pips: 0 }, 'WWL');
+  assert.deepEqual(ranks.map(position), ['Rookie 5:1', 'Rookie 4:0', 'Rookie 4:0']);
+  assert.equal(ranks[1].protected, true);
+  assert.equal(ranks[2].protected, false);
+});
+
+test('level 1 promotes to the next tier', () => {
+  const [rank] = play({ tier: 'Diamond', level: 1, pips: 4 }, 'W');
+  assert.equal(position(rank), 'Master 5:0');
+  assert.equal(rank.label, 'Master 5');
+});
+
+test('the top of the ladder stays full', () => {
+  const ranks = play({ tier: 'Master', level: 1, pips: 4 }, 'WW');
+  assert.deepEqual(ranks.map(position), ['Master 1:5', 'Master 1:5']);
+});
+
+test('Rookie and Bronze never lose pips', () => {
+  assert.equal(position(play({ tier: 'Bronze', level: 3, pips: 2 }, 'L')[0]), 'Bronze 3:2');
+  assert.equal(position(play({ tier: 'Rookie', level: 2, pips: 1 }, 'L')[0]), 'Rookie 2:1');
+});
+
+test('Silver loses pips but never a level', () => {
+  const ranks = play({ tier: 'Silver', level: 3, pips: 1 }, 'LL');
+  assert.deepEqual(ranks.map(position), ['Silver 3:0', 'Silver 3:0']);
+});
+
+test('Gold and above drop a level without pips, down to level 5', () => {
+  assert.deepEqual(play({ tier: 'Gold', level: 3, pips: 0 }, 'LL').map(position), ['Gold 4:0', 'Gold 5:0']);
+  assert.equal(position(play({ tier: 'Platinum', level: 5, pips: 0 }, 'L')[0]), 'Platinum 5:0');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLLUP_FIELDS, summarizeDays, updatedFields } = require('../utils/rollups');
+
+// A day rollup for results in play order, e.g. 'WWLW'
+const day = (results) => {
+  const firstLoss = results.indexOf('L');
+  const runs = results.split('L').map(run => run.length);
+  return {
+    matches: results.length,
+    wins: runs.reduce((sum, run) => sum + run, 0),
+    leadingWins: firstLoss === -1 ? results.length : firstLoss,
+    trailingWins: runs[runs.length - 1],
+    longestWin: Math.max(...runs)
+  };
+};
+
+// Streaks straight from the whole play history
+const scan = (results) => {
+  const runs = results.split('L').map(run => run.length);
+  return { bestWinStreak: Math.max(...runs), currentWinStreak: runs[runs.length - 1] };
+};
+
+test('summarizeDays totals matches, wins and losses', () => {
+  assert.deepEqual(summarizeDays([day('WWLW'), day('LL'), day('W')]), {
+    totalMatches: 7,
+    wins: 4,
+    bestWinStreak: 2,
+    currentWinStreak: 1,
+    losses: 3
+  });
+});
+
+test('summarizeDays without days is all zero', () => {
+  assert.deepEqual(summarizeDays([]), {
+    totalMatches: 0,
+    wins: 0,
+    bestWinStreak: 0,
+    currentWinStreak: 0,
+    losses: 0
+  });
+});
+
+test('summarizeDays carries win streaks across days', () => {
+  // 2 wins closing day one, an unbeaten day of 3, then 1 before a loss: 6
+  const days = ['LWW', 'WWW', 'WLWW'];
+  assert.deepEqual(summarizeDays(days.map(day)), {
+    totalMatches: 10,
+    wins: 8,
+    bestWinStreak: 6,
+    currentWinStreak: 2,
+    losses: 2
+  });
+});
+
+test('summarizeDays streaks match a scan of the full history', () => {
+  const histories = [
+    ['W', 'W', 'W'],
+    ['L', 'WWWWL', 'W'],
+    ['WWLWW', 'LWWWWWW', 'WL', 'WW'],
+    ['LLL', 'WLW', 'WWWW', 'WWWW', 'LW'],
+    ['WWWWWL', 'L', 'WWWWW']
+  ];
+
+  histories.forEach(days => {
+    const { bestWinStreak, currentWinStreak } = summarizeDays(days.map(day));
+    assert.deepEqual({ bestWinStreak, currentWinStreak }, scan(days.join('')), days.join(' | '));
+  });
+});
+
+test('updatedFields lists the top-level fields an update writes', () => {
+  assert.deepEqual(updatedFields({ $set: { 'games.0.result': 'Win', notes: 'gg' }, $unset: { lockedUntil: 1 } }), [
+    'games',
+    'notes',
+    'lockedUntil'
+  ]);
+  assert.deepEqual(updatedFields({ deck: 'Tenpai' }), ['deck']);
+  assert.deepEqual(updatedFields(undefined), []);
+  // Pipeline updates can write anything
+  assert.equal(updatedFields([{ $set: { deck: 'Tenpai' } }]), null);
+});
+
+test('note edits leave rollups alone while result edits do not', () => {
+  const touchesRollups = update => updatedFields(update).some(field => ROLLUP_FIELDS.includes(field));
+
+  assert.equal(touchesRollups({ $set: { notes: 'misplay on turn 3' } }), false);
+  assert.equal(touchesRollups({ $set: { result: 'Loss' } }), true);
+  assert.equal(touchesRollups({ deletedAt: new Date() }), true);
+});
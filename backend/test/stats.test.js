@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  winRateInterval,
+  betaCdf,
+  betaQuantile,
+  withWinRate,
+  rankRows,
+  wilsonLowerBoundExpression,
+  readRateQuery
+} = require('../utils/stats');
+
+// Evaluate the arithmetic aggregation operators the expressions use
+const evaluate = (expression) => {
+  if (typeof expression === 'number') return expression;
+  const [[operator, args]] = Object.entries(expression);
+  const values = [].concat(args).map(evaluate);
+  return {
+    $add: () => values.reduce((sum, value) => sum + value, 0),
+    $subtract: () => values[0] - values[1],
+    $multiply: () => values.reduce((product, value) => product * value, 1),
+    $divide: () => values[0] / values[1],
+    $sqrt: () => Math.sqrt(values[0]),
+    $gt: () => values[0] > values[1],
+    $cond: () => (values[0] ? values[1] : values[2])
+  }[operator]();
+};
+
+test('winRateInterval gives the Wilson score interval by default', () => {
+  assert.deepEqual(winRateInterval(8, 10), { low: 49, high: 94.3, sample: 10 });
+  assert.deepEqual(winRateInterval(0, 10), { low: 0, high: 27.8, sample: 10 });
+  assert.deepEqual(winRateInterval(50, 100, { level: 0.9 }), { low: 41.9, high: 58.1, sample: 100 });
+});
+
+test('winRateInterval spans everything without matches', () => {
+  assert.deepEqual(winRateInterval(0, 0), { low: 0, high: 100, sample: 0 });
+  assert.deepEqual(winRateInterval(0, 0, { method: 'bayes' }), { low: 2.5, high: 97.5, sample: 0 });
+});
+
+test('winRateInterval gives the Beta posterior credible interval for bayes', () => {
+  // Beta(9, 3): 8 wins and 2 losses on a uniform prior
+  assert.deepEqual(winRateInterval(8, 10, { method: 'bayes' }), { low: 48.2, high: 94.0, sample: 10 });
+  // A stronger prior pulls the interval toward 50%
+  const shrunk = winRateInterval(8, 10, { method: 'bayes', prior: [10, 10] });
+  assert.deepEqual(shrunk, { low: 42.3, high: 76.5, sample: 10 });
+});
+
+test('winRateInterval mirrors between wins and losses', () => {
+  ['wilson', 'bayes'].forEach(method => {
+    const wins = winRateInterval(7, 20, { method });
+    const losses = winRateInterval(13, 20, { method });
+    assert.ok(Math.abs(wins.low - (100 - losses.high)) < 0.11);
+    assert.ok(Math.abs(wins.high - (100 - losses.low)) < 0.11);
+  });
+});
+
+test('betaQuantile inverts betaCdf', () => {
+  [[1, 1], [9, 3], [0.5, 0.5], [40, 60]].forEach(([a, b]) => {
+    [0.025, 0.5, 0.975].forEach(p => {
+      assert.ok(Math.abs(betaCdf(betaQuantile(p, a, b), a, b) - p) < 1e-9);
+    });
+  });
+});
+
+test('wilsonLowerBoundExpression matches the Wilson interval', () => {
+  [[8, 10], [0, 10], [60, 100], [2, 2], [0, 0]].forEach(([wins, total]) => {
+    [0.9, 0.95].forEach(level => {
+      const bound = evaluate(wilsonLowerBoundExpression(wins, total, level)) * 100;
+      assert.ok(Math.abs(bound - winRateInterval(wins, total, { level }).low) < 0.051, `${wins}/${total}`);
+    });
+  });
+});
+
+test('rankRows by lower bound stops small samples from leading', () => {
+  const rows = [
+    { deck: 'Lucky', wins: 2, matches: 2 },
+    { deck: 'Solid', wins: 60, matches: 100 },
+    { deck: 'Middling', wins: 45, matches: 100 }
+  ].map(row => withWinRate(row));
+
+  assert.deepEqual(rankRows(rows, { rankBy: 'winRate' }).map(row => row.deck), ['Lucky', 'Solid', 'Middling']);
+  assert.deepEqual(rankRows(rows, { rankBy: 'lowerBound' }).map(row => row.deck), ['Solid', 'Middling', 'Lucky']);
+  assert.deepEqual(rankRows(rows).map(row => row.deck), ['Solid', 'Middling', 'Lucky']);
+});
+
+test('readRateQuery reads interval options and reports bad ones', () => {
+  assert.deepEqual(readRateQuery({}), {
+    options: { method: 'wilson', level: 0.95, rankBy: 'usage' },
+    errors: []
+  });
+  assert.deepEqual(readRateQuery({ interval: 'bayes', level: '0.9', rankBy: 'points' }, ['points', 'winRate']), {
+    options: { method: 'bayes', level: 0.9, rankBy: 'points' },
+    errors: []
+  });
+  assert.deepEqual(readRateQuery({ interval: 'exact', level: '2', rankBy: 'luck' }).errors, [
+    'interval must be one of wilson, bayes',
+    'level must be between 0.5 and 1',
+    'rankBy must be one of usage, winRate, lowerBound'
+  ]);
+});
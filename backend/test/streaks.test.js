@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  streakSummary,
+  playBlocks,
+  winRateAfterLosses,
+  winRateByBlockPosition,
+  streaksBy,
+  analyzeStreaks
+} = require('../utils/streaks');
+
+const MINUTE = 60 * 1000;
+const results = (letters) => [...letters].map(letter => (letter === 'W' ? 'Win' : 'Loss'));
+
+// Matches for `letters` played `minutesApart` apart, the last one `endedAgo` minutes ago
+const matches = (letters, { minutesApart = 5, endedAgo = 24 * 60 } = {}) => {
+  const last = Date.now() - endedAgo * MINUTE;
+  return results(letters).map((result, i) => ({
+    result,
+    createdAt: new Date(last - (letters.length - 1 - i) * minutesApart * MINUTE)
+  }));
+};
+
+test('streakSummary finds the current and longest streaks', () => {
+  assert.deepEqual(streakSummary(results('WWLLLW')), {
+    matches: 6,
+    current: { type: 'Win', length: 1 },
+    longestWin: 2,
+    longestLoss: 3
+  });
+  assert.deepEqual(streakSummary([]), {
+    matches: 0,
+    current: { type: null, length: 0 },
+    longestWin: 0,
+    longestLoss: 0
+  });
+});
+
+test('playBlocks splits at gaps of at least the block gap', () => {
+  const times = [0, 10, 50, 55, 80];
+  const played = times.map(minutes => ({ result: 'Win', createdAt: new Date(minutes * MINUTE) }));
+
+  assert.deepEqual(playBlocks(played).map(block => block.length), [2, 3]);
+  assert.deepEqual(playBlocks(played, 20 * MINUTE).map(block => block.length), [2, 2, 1]);
+  assert.deepEqual(playBlocks([]), []);
+});
+
+test('winRateAfterLosses counts matches after each losing run length', () => {
+  const buckets = winRateAfterLosses(results('LLWLW'), 3);
+  assert.deepEqual(
+    buckets.map(({ losses, matches, wins, winRate }) => ({ losses, matches, wins, winRate })),
+    [
+      { losses: 1, matches: 3, wins: 2, winRate: 66.7 },
+      { losses: 2, matches: 1, wins: 1, winRate: 100 },
+      { losses: 3, matches: 0, wins: 0, winRate: 0 }
+    ]
+  );
+});
+
+test('winRateByBlockPosition folds later matches into the last position', () => {
+  const blocks = [results('WLL'), results('WW')].map(block => block.map(result => ({ result })));
+  const positions = winRateByBlockPosition(blocks, 2);
+
+  assert.deepEqual(
+    positions.map(({ game, andLater, matches, wins, winRate }) => ({ game, andLater, matches, wins, winRate })),
+    [
+      { game: 1, andLater: undefined, matches: 2, wins: 2, winRate: 100 },
+      { game: 2, andLater: true, matches: 3, wins: 1, winRate: 33.3 }
+    ]
+  );
+});
+
+test('streaksBy groups in order of first appearance and skips missing keys', () => {
+  const played = [
+    { deck: 'Tenpai', result: 'Win' },
+    { deck: 'Yubel', result: 'Loss' },
+    { deck: null, result: 'Loss' },
+    { deck: 'Tenpai', result: 'Win' }
+  ];
+  const groups = streaksBy(played, match => match.deck);
+
+  assert.deepEqual(groups.map(group => [group.key, group.matches, group.longestWin]), [
+    ['Tenpai', 2, 2],
+    ['Yubel', 1, 0]
+  ]);
+});
+
+test('analyzeStreaks warns about tilt when losing runs hurt', () => {
+  // After two straight losses this player won 1 of 2, below their 54.5%
+  const analysis = analyzeStreaks(matches('WWWWWLLLWLL'));
+
+  assert.equal(analysis.overall.winRate, 54.5);
+  assert.deepEqual(analysis.warnings.map(warning => [warning.type, warning.losses, warning.winRate]), [
+    ['tilt', 2, 50]
+  ]);
+  assert.equal(analysis.blocks.current, 0);
+});
+
+test('analyzeStreaks warns about fatigue in an open block', () => {
+  // Two earlier blocks lost games 3 and 4; the current block is at game 2
+  const played = [
+    ...matches('WWLL', { endedAgo: 3 * 24 * 60 }),
+    ...matches('WWLL', { endedAgo: 2 * 24 * 60 }),
+    ...matches('WW', { endedAgo: 1 })
+  ];
+  const analysis = analyzeStreaks(played);
+
+  assert.deepEqual(analysis.blocks, { count: 3, averageLength: 3.3, current: 2 });
+  assert.deepEqual(analysis.warnings.map(warning => [warning.type, warning.game, warning.winRate]), [
+    ['fatigue', 3, 0]
+  ]);
+});
+
+test('analyzeStreaks without matches has no warnings', () => {
+  const analysis = analyzeStreaks([]);
+  assert.deepEqual(analysis.warnings, []);
+  assert.deepEqual(analysis.blocks, { count: 0, averageLength: 0, current: 0 });
+});
@@ -0,0 +1,136 @@
+// Archetype name helpers: lookup keys, regrouping stats under canonical
+// names and rewriting stored deck/opponent names when archetypes change
+
+const mongoose = require('mongoose');
+const { withWinRate } = require('./stats');
+const { applyAllPending } = require('./rollups');
+const { bumpRevisions } = require('./sessionWrite');
+const { discardHistory } = require('./matchHistory');
+const { mergeDeckLists } = require('./deckNames');
+
+// "Snake-Eye", "snake eye" and "SNAKE_EYE" all become "snakeeye"
+const archetypeKey = (name) => String(name ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+// Merge aggregated rows whose `nameField` resolves to the same archetype.
+// `counters` are summed; `winRate` and `winRateInterval` are recomputed from
+// `wins` / `totalField` (`rateOptions` picks the interval method and level).
+// Rows keep their first-seen order (re-sort after merging) and get the icon.
+const groupByArchetype = async (rows, { nameField, totalField, counters, rateOptions }) => {
+  const Archetype = mongoose.model('Archetype');
+  const resolved = await Archetype.resolve(rows.map(row => row[nameField]));
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const archetype = resolved.get(row[nameField]);
+    const name = archetype ? archetype.name : row[nameField];
+    const key = archetypeKey(name) || name;
+    const group = groups.get(key);
+
+    if (!group) {
+      groups.set(key, { ...row, [nameField]: name, icon: archetype?.icon || null });
+      return;
+    }
+    counters.forEach(counter => {
+      group[counter] = (group[counter] || 0) + (row[counter] || 0);
+    });
+  });
+
+  return [...groups.values()].map(group => withWinRate(group, { total: totalField, ...rateOptions }));
+};
+
+// Case-insensitive pattern matching every name with `key` (and some
+// others): key characters may be accented and anything else goes between
+// them. Narrows distinct() queries before archetypeKey decides exactly.
+const keyPattern = (key) => new RegExp(
+  `^[^a-z0-9]*${[...key].map(char => `(?:${char}|[^\\x00-\\x7f])`).join('[^a-z0-9]*')}[^a-z0-9]*$`,
+  'i'
+);
+
+// Rewrite match deck/opponent names, session deck lists and decklist names
+// that resolve to `archetype` (by key) to its canonical name. Each player's
+// decklists under those names are merged into one (see mergeDeckLists).
+const rewriteHistory = async (archetype) => {
+  const Match = mongoose.model('Match');
+  const Session = mongoose.model('Session');
+  const DeckList = mongoose.model('DeckList');
+  const keys = new Set([archetype.name, ...archetype.aliases].map(archetypeKey).filter(Boolean));
+  const candidates = { $in: [...keys].map(keyPattern) };
+
+  const [decks, opponents, deckListNames] = await Promise.all([
+    Match.distinct('deck', { deck: candidates }),
+    Match.distinct('opp', { opp: candidates }),
+    DeckList.distinct('name', { name: candidates })
+  ]);
+  const stale = [...new Set([...decks, ...opponents, ...deckListNames])]
+    .filter(name => name !== archetype.name && keys.has(archetypeKey(name)));
+
+  if (stale.length === 0) {
+    return { matches: 0, sessions: 0, decklists: 0 };
+  }
+
+  // Sessions whose matches or decks change, for their revisions
+  const touched = { $in: stale };
+  const sessionIds = [
+    ...await Match.distinct('session', { $or: [{ deck: touched }, { opp: touched }] }),
+    ...await Session.distinct('_id', { $or: [{ decks: touched }, { defaultDeck: touched }] })
+  ];
+
+  const [deckUpdate, oppUpdate, sessionUpdate, defaultUpdate] = await Promise.all([
+    Match.updateMany({ deck: { $in: stale } }, { deck: archetype.name }),
+    Match.updateMany({ opp: { $in: stale } }, { opp: archetype.name }),
+    // Swap names in place and drop the duplicates that leaves behind
+    Session.updateMany({ decks: { $in: stale } }, [{
+      $set: {
+        decks: {
+          $reduce: {
+            input: {
+              $map: {
+                input: '$decks',
+                in: { $cond: [{ $in: ['$$this', stale] }, archetype.name, '$$this'] }
+              }
+            },
+            initialValue: [],
+            in: {
+              $cond: [
+                { $in: ['$$this', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] }
+              ]
+            }
+          }
+        }
+      }
+    }]),
+    Session.updateMany({ defaultDeck: { $in: stale } }, { defaultDeck: archetype.name })
+  ]);
+
+  // Decklist stats are matched by name, so the decklists follow the matches
+  const deckListUsers = await DeckList.distinct('user', { name: { $in: stale } });
+  for (const userId of deckListUsers) {
+    await mergeDeckLists(userId, stale, archetype.name);
+  }
+
+  await bumpRevisions(sessionIds);
+  // Undoing an older edit would bring the old names back
+  await discardHistory(sessionIds);
+
+  // Matches of many players were renamed, so rebuild their rollups now
+  // rather than on their next write
+  await applyAllPending();
+
+  return {
+    matches: deckUpdate.modifiedCount + oppUpdate.modifiedCount,
+    sessions: sessionUpdate.modifiedCount + defaultUpdate.modifiedCount,
+    decklists: deckListUsers.length
+  };
+};
+
+module.exports = {
+  archetypeKey,
+  groupByArchetype,
+  rewriteHistory
+};
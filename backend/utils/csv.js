@@ -0,0 +1,75 @@
+// Minimal RFC 4180 style CSV parsing and formatting (quoted fields, escaped
+// quotes, CRLF)
+
+const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+const formatCell = (value, delimiter) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') return String(value);
+
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+
+  // TSV has no quoting convention, so flatten separators instead
+  if (delimiter === '\t') {
+    return text.replace(/[\t\r\n]+/g, ' ');
+  }
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const formatRow = (values, { delimiter = ',' } = {}) =>
+  values.map(value => formatCell(value, delimiter)).join(delimiter) + '\r\n';
+
+module.exports = { parseCsv, formatRow };
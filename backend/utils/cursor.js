@@ -0,0 +1,38 @@
+// Keyset (cursor) pagination helpers
+//
+// A cursor records the sort value and _id of the last item on a page. The
+// next page starts strictly after that pair, so results stay stable while
+// new documents are being added.
+
+const mongoose = require('mongoose');
+
+const encodeCursor = (doc, field) => {
+  const value = doc[field] instanceof Date ? { date: doc[field].toISOString() } : doc[field];
+  return Buffer.from(JSON.stringify({ v: value, id: doc._id.toString() })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const value = v && typeof v === 'object' && v.date ? new Date(v.date) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query condition selecting documents after the cursor for a sort on
+// `field` (+ _id as tie-breaker) in `direction` (1 or -1)
+const afterCursor = ({ value, id }, field, direction) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+module.exports = { encodeCursor, decodeCursor, afterCursor };
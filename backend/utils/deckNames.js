@@ -0,0 +1,93 @@
+// Renaming and merging decks inside a session
+//
+// Deck names are plain strings on matches, the session and decklists, so a
+// rename rewrites all of them in one transaction: either every name changes
+// or none does. Callers hold the session's write lease (see sessionWrite.js),
+// which keeps other writers out while the names change.
+
+const mongoose = require('mongoose');
+const { discardHistory } = require('./matchHistory');
+
+// Give the user's decklists named in `freed` the name `toName`. The decklist
+// already called `toName` (or else the first freed one) is kept and the rest
+// are moved to the trash, where they can still be restored. `transaction` is
+// optional. Returns the kept decklist, or null when there is none.
+const mergeDeckLists = async (userId, freed, toName, transaction) => {
+  const DeckList = mongoose.model('DeckList');
+  const decklists = await DeckList.find({ user: userId, name: { $in: [toName, ...freed] } })
+    .sort({ createdAt: 1 })
+    .session(transaction);
+
+  const kept = decklists.find(decklist => decklist.name === toName) || decklists[0];
+  if (!kept) return null;
+
+  const merged = decklists.filter(decklist => decklist !== kept);
+  if (merged.length > 0) {
+    await DeckList.updateMany(
+      { _id: { $in: merged.map(decklist => decklist._id) } },
+      { deletedAt: new Date() },
+      { session: transaction }
+    );
+  }
+
+  kept.name = toName;
+  await kept.save({ session: transaction });
+  return kept;
+};
+
+// Rename every deck in `fromNames` to `toName` within `session`. Renaming to
+// a name the session already uses merges the decks.
+const renameSessionDecks = async (session, fromNames, toName) => {
+  const Match = mongoose.model('Match');
+  const Session = mongoose.model('Session');
+  const sources = fromNames.filter(name => name && name !== toName);
+
+  const decks = [...new Set(
+    [...session.decks, toName].map(deck => sources.includes(deck) ? toName : deck)
+  )];
+  const update = { decks };
+  if (sources.includes(session.defaultDeck)) update.defaultDeck = toName;
+
+  const transaction = await mongoose.startSession();
+  let renamed;
+
+  try {
+    // Retried from the top on transient errors, so nothing outside changes
+    // until it commits
+    await transaction.withTransaction(async () => {
+      const options = { session: transaction };
+
+      // Trashed matches are rewritten too so a restore brings back the new name
+      const deckUpdate = await Match.updateMany({ session: session._id, deck: { $in: sources } }, { deck: toName }, options);
+      const oppUpdate = await Match.updateMany({ session: session._id, opp: { $in: sources } }, { opp: toName }, options);
+
+      // Decklists follow the names no other session still plays (their stats
+      // are matched by name across sessions)
+      const stillPlayed = await Match.distinct('deck', { user: session.user, deck: { $in: sources } })
+        .session(transaction);
+      const freed = sources.filter(name => !stillPlayed.includes(name));
+      const decklist = freed.length > 0
+        ? await mergeDeckLists(session.user, freed, toName, transaction)
+        : null;
+
+      await Session.updateOne({ _id: session._id }, update, options);
+      // Undoing an older edit would bring the old names back
+      await discardHistory([session._id], options);
+
+      renamed = {
+        matches: deckUpdate.modifiedCount + oppUpdate.modifiedCount,
+        decklist
+      };
+    });
+  } finally {
+    await transaction.endSession();
+  }
+
+  session.set(update);
+  return renamed;
+};
+
+module.exports = {
+  mergeDeckLists,
+  renameSessionDecks
+};
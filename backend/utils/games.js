@@ -0,0 +1,58 @@
+// Per-game helpers for best-of-three matches. A match without a games list
+// counts as a single game with the match's own turn and result.
+
+const MAX_GAMES = 3;
+const WINS_NEEDED = 2;
+
+const gamesOf = (match) => (match.games && match.games.length > 0
+  ? match.games
+  : [{ turn: match.turn, result: match.result }]);
+
+// Work out the series outcome from its games. Returns { result, turn, score }
+// or { error } when the games don't describe a finished series.
+const deriveSeries = (games) => {
+  let wins = 0;
+  let losses = 0;
+
+  for (let i = 0; i < games.length; i++) {
+    if (wins === WINS_NEEDED || losses === WINS_NEEDED) {
+      return { error: `Game ${i + 1} was played after the series was decided` };
+    }
+    if (games[i].result === 'Win') wins++;
+    else losses++;
+  }
+
+  if (wins < WINS_NEEDED && losses < WINS_NEEDED) {
+    return { error: `Series is undecided at ${wins}-${losses}` };
+  }
+
+  return {
+    result: wins > losses ? 'Win' : 'Loss',
+    turn: games[0].turn,
+    score: `${wins}-${losses}`
+  };
+};
+
+// Aggregation expression equivalent of gamesOf()
+const GAMES_EXPRESSION = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$games', []] } }, 0] },
+    '$games',
+    [{ turn: '$turn', result: '$result' }]
+  ]
+};
+
+// Pipeline stages producing one document per game, with the game in `games`
+const UNWIND_GAMES = [
+  { $addFields: { games: GAMES_EXPRESSION } },
+  { $unwind: '$games' }
+];
+
+module.exports = {
+  MAX_GAMES,
+  WINS_NEEDED,
+  gamesOf,
+  deriveSeries,
+  GAMES_EXPRESSION,
+  UNWIND_GAMES
+};
@@ -0,0 +1,248 @@
+// Goal projection: how many games a target still takes and when it should
+// be reached
+//
+// Future matches are simulated through the goal's points formula, so ladder
+// rules (pip protection, demotion floors, DC loss halving) shape the
+// estimate. Each run draws a win rate around the observed one, giving a band
+// that widens when there are few matches to go on. Runs are seeded per goal
+// so the same history always projects the same way, and a goal's projection
+// is reused until its target or matches change (or it gets PROJECTION_CACHE_MS
+// old, since pace and dates move with the clock). Simulations yield to the
+// event loop every RUNS_PER_YIELD runs so other requests keep being served.
+
+const mongoose = require('mongoose');
+const { getFormula } = require('../formulas');
+const { rate, winRateInterval } = require('./stats');
+
+const RUNS = 400;
+const RUNS_PER_YIELD = 20;
+const MAX_GAMES = 1000;
+const PACE_WINDOW_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BAND = [0.1, 0.9];
+const PROJECTION_CACHE_MS = 10 * 60 * 1000;
+
+// Goal id -> { key, at, projection } with the projection still a promise
+// while it is being simulated
+const projectionCache = new Map();
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// Small seeded PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const hashString = (value) => [...String(value)]
+  .reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+
+// Standard normal draw (Box-Muller)
+const normal = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const quantile = (sorted, q) => sorted[Math.min(Math.floor(q * sorted.length), sorted.length - 1)];
+
+// Matches counting toward the goal (play order), the points reached so far
+// and the session future matches are scored in: the goal's own, or for
+// season goals the one last played (a stand-in before the first match)
+const loadGoalScope = async (goal) => {
+  const Match = mongoose.model('Match');
+  const Session = mongoose.model('Session');
+  const Season = mongoose.model('Season');
+
+  if (goal.session) {
+    const session = await Session.findById(goal.session);
+    const matches = session ? await Match.findForSession(session._id).lean() : [];
+    const last = matches[matches.length - 1];
+    const currentPoints = last ? last.pointsAfter : session?.pointsStart ?? goal.startPoints;
+    return {
+      matches,
+      currentPoints,
+      session: session || { user: goal.user, pointsFormula: goal.formula, pointsStart: currentPoints }
+    };
+  }
+
+  const season = await Season.findById(goal.season);
+  const sessionIds = await Session.distinct('_id', { user: goal.user, pointsFormula: goal.formula });
+  const matches = await Match.find({ season: goal.season, session: { $in: sessionIds } })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  const last = matches[matches.length - 1];
+  const currentPoints = last ? last.pointsAfter : season ? season.startPointsFor(goal.formula) : goal.startPoints;
+  const session = last ? await Session.findById(last.session) : null;
+  return {
+    matches,
+    currentPoints,
+    session: session || { user: goal.user, pointsFormula: goal.formula, pointsStart: currentPoints }
+  };
+};
+
+// Games needed to reach the target in one simulated run, or null if it isn't
+// reached within MAX_GAMES
+const simulateRun = (formula, { session, currentPoints, lastMatch, startIndex, targetPoints, winRate, random }) => {
+  let points = currentPoints;
+  let previous = lastMatch;
+
+  for (let games = 1; games <= MAX_GAMES; games++) {
+    const match = { result: random() < winRate ? 'Win' : 'Loss' };
+    const outcome = formula.calculate({
+      match,
+      pointsBefore: points,
+      history: previous ? [previous] : [],
+      index: startIndex + games - 1,
+      session
+    });
+
+    points = typeof outcome === 'number' ? outcome : outcome.points;
+    previous = { ...match, pointsAfter: points, rank: typeof outcome === 'number' ? undefined : outcome.rank };
+
+    if (points >= targetPoints) return games;
+  }
+  return null;
+};
+
+// Matches per day over the recent window (or since the first match, when
+// the goal's history is shorter than the window)
+const recentPace = (matches, now) => {
+  const since = now.getTime() - PACE_WINDOW_DAYS * DAY_MS;
+  const recent = matches.filter(match => new Date(match.createdAt).getTime() >= since);
+  if (recent.length === 0) return 0;
+
+  const firstPlayed = new Date(recent[0].createdAt).getTime();
+  const days = Math.max((now.getTime() - firstPlayed) / DAY_MS, 1);
+  return recent.length / days;
+};
+
+// Progress plus required games, reach probability and projected dates (each
+// with a 10th-90th percentile band) for a goal given its loaded scope
+const projectGoal = async (goal, { matches, currentPoints, session }, { now = new Date() } = {}) => {
+  const formula = getFormula(goal.formula);
+  const progress = goal.progressAt(currentPoints);
+  const wins = matches.filter(match => match.result === 'Win').length;
+  const pace = recentPace(matches, now);
+
+  const projection = {
+    ...progress,
+    winRate: rate(wins, matches.length),
+    winRateInterval: winRateInterval(wins, matches.length),
+    sample: matches.length,
+    pace: {
+      matchesPerDay: Math.round(pace * 10) / 10,
+      windowDays: PACE_WINDOW_DAYS
+    },
+    requiredGames: null,
+    reachProbability: progress.achieved ? 1 : 0,
+    projectedDate: null
+  };
+
+  if (progress.achieved) return projection;
+
+  // Uncertainty of the observed win rate (with a one win, one loss prior)
+  const posterior = (wins + 1) / (matches.length + 2);
+  const spread = Math.sqrt(posterior * (1 - posterior) / (matches.length + 3));
+  const random = createRandom(hashString(goal._id));
+  const lastMatch = matches[matches.length - 1];
+
+  const runs = [];
+  for (let run = 0; run < RUNS; run++) {
+    if (run > 0 && run % RUNS_PER_YIELD === 0) await yieldToEventLoop();
+    runs.push(simulateRun(formula, {
+      session,
+      currentPoints,
+      lastMatch,
+      startIndex: matches.length,
+      targetPoints: goal.targetPoints,
+      winRate: Math.min(Math.max(posterior + spread * normal(random), 0.01), 0.99),
+      random
+    }));
+  }
+  const reached = runs.filter(games => games !== null).sort((a, b) => a - b);
+
+  projection.reachProbability = Math.round((reached.length / RUNS) * 100) / 100;
+
+  if (goal.deadline) {
+    const available = pace * Math.max((goal.deadline.getTime() - now.getTime()) / DAY_MS, 0);
+    projection.deadlineProbability = Math.round(
+      (reached.filter(games => games <= available).length / RUNS) * 100
+    ) / 100;
+    projection.onTrack = false;
+  }
+
+  // Most runs never get there: no estimate beyond the probability
+  if (reached.length < RUNS / 2) return projection;
+
+  // Unfinished runs count as slower than any finished one
+  const all = [...reached, ...Array(RUNS - reached.length).fill(Infinity)];
+  const [low, high] = BAND.map(q => quantile(all, q));
+  projection.requiredGames = {
+    expected: quantile(all, 0.5),
+    low,
+    high: Number.isFinite(high) ? high : null
+  };
+
+  if (pace > 0) {
+    const dateAfter = games => Number.isFinite(games) ? new Date(now.getTime() + (games / pace) * DAY_MS) : null;
+    projection.projectedDate = {
+      expected: dateAfter(projection.requiredGames.expected),
+      earliest: dateAfter(low),
+      latest: dateAfter(high)
+    };
+  }
+
+  if (goal.deadline) {
+    projection.onTrack = projection.projectedDate?.expected
+      ? projection.projectedDate.expected <= goal.deadline
+      : false;
+  }
+
+  return projection;
+};
+
+// What a projection depends on besides the clock
+const projectionKey = (goal, { matches, currentPoints }) => {
+  const last = matches[matches.length - 1];
+  return JSON.stringify([
+    goal.formula,
+    goal.startPoints,
+    goal.targetPoints,
+    goal.deadline,
+    currentPoints,
+    matches.length,
+    matches.filter(match => match.result === 'Win').length,
+    last ? last._id : null
+  ]);
+};
+
+// projectGoal, reusing the goal's last projection while it still applies
+// (or is still being simulated for another request)
+const cachedProjection = (goal, scope, { now = new Date() } = {}) => {
+  const id = goal._id.toString();
+  const key = projectionKey(goal, scope);
+  const cached = projectionCache.get(id);
+
+  if (cached && cached.key === key && now.getTime() - cached.at < PROJECTION_CACHE_MS) {
+    return cached.projection;
+  }
+
+  projectionCache.forEach((entry, entryId) => {
+    if (now.getTime() - entry.at >= PROJECTION_CACHE_MS) projectionCache.delete(entryId);
+  });
+  const entry = { key, at: now.getTime(), projection: projectGoal(goal, scope, { now }) };
+  entry.projection.catch(() => {
+    if (projectionCache.get(id) === entry) projectionCache.delete(id);
+  });
+  projectionCache.set(id, entry);
+  return entry.projection;
+};
+
+module.exports = {
+  loadGoalScope,
+  projectGoal,
+  cachedProjection
+};
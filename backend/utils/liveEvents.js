@@ -0,0 +1,36 @@
+// In-process pub/sub for live session updates
+//
+// Routes publish events after a successful write; the /api/events stream
+// forwards them to the owner's connected clients. Subscribers live in this
+// process only, so running several server instances needs a shared broker
+// in front of publish().
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = ['match-added', 'match-updated', 'match-deleted', 'session-changed'];
+
+const emitter = new EventEmitter();
+// One listener per open stream
+emitter.setMaxListeners(0);
+
+const channel = userId => `user:${userId}`;
+
+// publish(userId, 'match-added', { sessionId, revision, match })
+const publish = (userId, type, data = {}) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown live event type "${type}"`);
+  }
+  emitter.emit(channel(userId), {
+    type,
+    data: { ...data, sessionId: data.sessionId && data.sessionId.toString() },
+    at: new Date().toISOString()
+  });
+};
+
+// Returns an unsubscribe function
+const subscribe = (userId, listener) => {
+  emitter.on(channel(userId), listener);
+  return () => emitter.off(channel(userId), listener);
+};
+
+module.exports = { EVENT_TYPES, publish, subscribe };
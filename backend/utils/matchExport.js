@@ -0,0 +1,131 @@
+// Session export: match rows with running statistics for offline analysis
+
+const { formatRow } = require('./csv');
+const { deriveSeries } = require('./games');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', delimiter: ',' },
+  tsv: { contentType: 'text/tab-separated-values', delimiter: '\t' },
+  json: { contentType: 'application/json' }
+};
+
+const EXPORT_COLUMNS = [
+  'session',
+  'formula',
+  'game',
+  'date',
+  'deck',
+  'opp',
+  'matchup',
+  'result',
+  'turn',
+  'coinToss',
+  'chosenTurn',
+  'format',
+  'gameScore',
+  'duration',
+  'reason',
+  'pointsBefore',
+  'pointsAfter',
+  'pointsDelta',
+  'rank',
+  'wins',
+  'losses',
+  'runningWinRate',
+  'streak',
+  'notes'
+];
+
+// Yield one export row per match. `streak` is positive for consecutive wins
+// and negative for consecutive losses.
+function* sessionRows(session) {
+  let wins = 0;
+  let losses = 0;
+  let streak = 0;
+
+  for (let i = 0; i < session.matches.length; i++) {
+    const match = session.matches[i];
+    const won = match.result === 'Win';
+
+    if (won) {
+      wins++;
+      streak = streak > 0 ? streak + 1 : 1;
+    } else {
+      losses++;
+      streak = streak < 0 ? streak - 1 : -1;
+    }
+
+    yield {
+      session: session.name,
+      formula: session.pointsFormula,
+      game: i + 1,
+      date: match.createdAt ? new Date(match.createdAt).toISOString() : null,
+      deck: match.deck,
+      opp: match.opp,
+      matchup: `${match.deck} vs ${match.opp}`,
+      result: match.result,
+      turn: match.turn,
+      coinToss: match.coinToss || null,
+      chosenTurn: match.chosenTurn || null,
+      format: match.format || null,
+      gameScore: match.games && match.games.length > 0 ? deriveSeries(match.games).score || null : null,
+      duration: match.duration ?? null,
+      reason: match.reason || null,
+      pointsBefore: match.pointsBefore,
+      pointsAfter: match.pointsAfter,
+      pointsDelta: Math.round((match.pointsAfter - match.pointsBefore) * 100) / 100,
+      rank: match.rank && match.rank.label ? match.rank.label : null,
+      wins,
+      losses,
+      runningWinRate: Math.round((wins / (wins + losses)) * 1000) / 10,
+      streak,
+      notes: match.notes || null
+    };
+  }
+}
+
+// Writes rows to a response as they are produced. Call write() per session
+// and end() once; sessions can come from a cursor so nothing is buffered.
+const createExportWriter = (res, format) => {
+  const { delimiter } = EXPORT_FORMATS[format];
+  let first = true;
+
+  if (format === 'json') {
+    res.write('[');
+  } else {
+    // BOM so spreadsheet apps detect UTF-8
+    res.write('\ufeff' + formatRow(EXPORT_COLUMNS, { delimiter }));
+  }
+
+  return {
+    write(session) {
+      for (const row of sessionRows(session)) {
+        if (format === 'json') {
+          res.write((first ? '' : ',') + JSON.stringify(row));
+        } else {
+          res.write(formatRow(EXPORT_COLUMNS.map(column => row[column]), { delimiter }));
+        }
+        first = false;
+      }
+    },
+    end() {
+      if (format === 'json') res.write(']');
+      res.end();
+    }
+  };
+};
+
+// Content headers for a download named after the export
+const setExportHeaders = (res, format, basename) => {
+  const safeName = basename.replace(/[^\w.-]+/g, '_') || 'export';
+  res.setHeader('Content-Type', `${EXPORT_FORMATS[format].contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${format}"`);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  sessionRows,
+  createExportWriter,
+  setExportHeaders
+};
@@ -0,0 +1,178 @@
+// Reversible change log for a session's matches
+//
+// Creates, imports, restores from the trash, deletes and clears are recorded
+// by match id and reverted through the soft delete flag; edits keep the
+// before/after values of the fields that changed. Undo and redo are called
+// from inside a session write (see sessionWrite.js) and rerun the points
+// chain once the matches are back in their new state. Deck renames and
+// archetype merges rewrite names underneath the recorded values, so they
+// discard the log instead (see discardHistory).
+
+const mongoose = require('mongoose');
+const { recalculatePoints } = require('../formulas');
+
+// Fields a match edit can change; points and rank are derived from these
+const HISTORY_FIELDS = [
+  'deck', 'opp', 'result', 'turn', 'games', 'customPointsAfter',
+  'coinToss', 'chosenTurn', 'format', 'duration', 'reason', 'notes'
+];
+
+// Actions that add matches to the session (undo trashes them again)
+const ADDING_ACTIONS = ['create', 'import', 'restore'];
+
+class HistoryConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryConflictError';
+    this.status = 409;
+  }
+}
+
+const snapshot = (match) => {
+  const values = match.toObject({ virtuals: false });
+  return HISTORY_FIELDS.reduce((picked, field) => {
+    picked[field] = values[field] === undefined ? null : values[field];
+    return picked;
+  }, {});
+};
+
+// Fields whose values differ between two snapshots
+const diffSnapshots = (before, after) => HISTORY_FIELDS
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .reduce((diff, field) => {
+    diff.before[field] = before[field];
+    diff.after[field] = after[field];
+    return diff;
+  }, { before: {}, after: {} });
+
+// Append a change to the session's log, dropping anything left to redo
+const recordChange = async (session, userId, action, matchIds, values = {}) => {
+  const MatchChange = mongoose.model('MatchChange');
+
+  await MatchChange.updateMany(
+    { session: session._id, status: 'undone' },
+    { status: 'discarded' }
+  );
+
+  return MatchChange.create({
+    session: session._id,
+    user: userId,
+    action,
+    matches: matchIds,
+    ...values
+  });
+};
+
+// Record an edit given the match's snapshot from before it was changed.
+// Edits that changed nothing are not logged.
+const recordUpdate = (session, userId, match, before) => {
+  const { before: previous, after } = diffSnapshots(before, snapshot(match));
+  if (Object.keys(after).length === 0) return null;
+
+  return recordChange(session, userId, 'update', [match._id], { before: previous, after });
+};
+
+const setTrashed = async (session, change, trashed) => {
+  const Match = mongoose.model('Match');
+
+  const { modifiedCount } = await Match.updateMany(
+    {
+      _id: { $in: change.matches },
+      session: session._id,
+      deletedAt: trashed ? null : { $ne: null }
+    },
+    { deletedAt: trashed ? new Date() : null }
+  );
+
+  if (modifiedCount === 0 && change.matches.length > 0) {
+    throw new HistoryConflictError('The matches in this change are no longer available');
+  }
+
+  await Match.recalculateSession(session);
+};
+
+const setValues = async (session, change, values) => {
+  const Match = mongoose.model('Match');
+  const matches = await Match.findForSession(session._id);
+  const matchIndex = matches.findIndex(match => match._id.equals(change.matches[0]));
+
+  if (matchIndex === -1) {
+    throw new HistoryConflictError('The edited match is no longer in this session');
+  }
+
+  const match = matches[matchIndex];
+  Object.entries(values).forEach(([field, value]) => {
+    match.set(field, value === null ? undefined : value);
+  });
+
+  recalculatePoints(session, matches, matchIndex);
+  await Match.saveChanged(matches);
+};
+
+// Revert (`undo`) or reapply (`redo`) a change against the session. A
+// change that can no longer be replayed (its matches were purged from the
+// trash) is discarded so it doesn't block the rest of the log.
+const replayChange = async (session, change, direction) => {
+  try {
+    if (change.action === 'update') {
+      await setValues(session, change, direction === 'undo' ? change.before : change.after);
+    } else {
+      const adding = ADDING_ACTIONS.includes(change.action);
+      await setTrashed(session, change, adding === (direction === 'undo'));
+    }
+  } catch (error) {
+    if (error instanceof HistoryConflictError) {
+      change.status = 'discarded';
+      await change.save();
+    }
+    throw error;
+  }
+};
+
+// Undo the latest applied change. Returns null when there is nothing to undo.
+const undoLastChange = async (session) => {
+  const MatchChange = mongoose.model('MatchChange');
+  const change = await MatchChange.findOne({ session: session._id, status: 'applied' })
+    .sort({ createdAt: -1, _id: -1 });
+
+  if (!change) return null;
+
+  await replayChange(session, change, 'undo');
+  change.status = 'undone';
+  change.revertedAt = new Date();
+  return change.save();
+};
+
+// Redo the earliest undone change. Returns null when there is nothing to redo.
+const redoNextChange = async (session) => {
+  const MatchChange = mongoose.model('MatchChange');
+  const change = await MatchChange.findOne({ session: session._id, status: 'undone' })
+    .sort({ createdAt: 1, _id: 1 });
+
+  if (!change) return null;
+
+  await replayChange(session, change, 'redo');
+  change.status = 'applied';
+  change.revertedAt = undefined;
+  return change.save();
+};
+
+// Discard the undo and redo log of the sessions in `sessionIds`, for bulk
+// rewrites that replaying older entries would silently revert. `options` are
+// passed to the update (e.g. a transaction's session).
+const discardHistory = (sessionIds, options) => mongoose.model('MatchChange').updateMany(
+  { session: { $in: sessionIds }, status: { $in: ['applied', 'undone'] } },
+  { status: 'discarded' },
+  options
+);
+
+module.exports = {
+  HISTORY_FIELDS,
+  HistoryConflictError,
+  snapshot,
+  recordChange,
+  recordUpdate,
+  discardHistory,
+  undoLastChange,
+  redoNextChange
+};
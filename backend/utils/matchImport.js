@@ -0,0 +1,171 @@
+// Bulk match import: turns CSV/JSON rows into validated match data
+
+const { parseCsv } = require('./csv');
+
+const IMPORT_FIELDS = ['deck', 'opp', 'result', 'turn', 'timestamp', 'points'];
+const MAX_IMPORT_ROWS = 5000;
+
+const RESULT_ALIASES = {
+  win: 'Win', w: 'Win', won: 'Win', victory: 'Win',
+  loss: 'Loss', l: 'Loss', lose: 'Loss', lost: 'Loss', defeat: 'Loss'
+};
+
+const TURN_ALIASES = {
+  '1st': '1st', '1': '1st', first: '1st', 'going first': '1st',
+  '2nd': '2nd', '2': '2nd', second: '2nd', 'going second': '2nd'
+};
+
+// Convert raw CSV text or a JSON array into an array of plain objects
+const readRows = (format, data, { delimiter } = {}) => {
+  if (format === 'json') {
+    const rows = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON import data must be an array of rows');
+    }
+    return rows;
+  }
+
+  if (format === 'csv') {
+    if (typeof data !== 'string') {
+      throw new Error('CSV import data must be a string');
+    }
+    const [header, ...lines] = parseCsv(data, { delimiter });
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim());
+    return lines.map(cells => columns.reduce((row, column, i) => {
+      row[column] = cells[i] !== undefined ? cells[i].trim() : '';
+      return row;
+    }, {}));
+  }
+
+  throw new Error('Import format must be csv or json');
+};
+
+// JSON rows are objects of columns (or arrays, with positional mappings);
+// anything else is reported as a bad row
+const isRow = row => row !== null && typeof row === 'object';
+
+// Resolve which source column feeds each match field. Unmapped fields fall
+// back to a column with the same name (case-insensitive).
+const resolveMapping = (rows, mapping = {}) => {
+  const first = rows.find(isRow);
+  const columns = first ? Object.keys(first) : [];
+
+  return IMPORT_FIELDS.reduce((resolved, field) => {
+    if (mapping[field] !== undefined) {
+      resolved[field] = mapping[field];
+    } else {
+      const column = columns.find(name => name.toLowerCase() === field);
+      if (column) resolved[field] = column;
+    }
+    return resolved;
+  }, {});
+};
+
+const readField = (row, column) => {
+  if (column === undefined) return undefined;
+  // Numeric mappings address columns by position
+  const value = typeof column === 'number' ? Object.values(row)[column] : row[column];
+  if (value === undefined || value === null) return undefined;
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+// Validate one row against the match schema enums and return the match data
+// plus any problems found.
+const buildMatch = (row, mapping, enums) => {
+  const errors = [];
+  const match = {};
+
+  const deck = readField(row, mapping.deck);
+  const opp = readField(row, mapping.opp);
+  if (!deck) errors.push('deck is required');
+  else match.deck = String(deck);
+  if (!opp) errors.push('opp is required');
+  else match.opp = String(opp);
+
+  const rawResult = readField(row, mapping.result);
+  const result = RESULT_ALIASES[String(rawResult ?? '').toLowerCase()] || rawResult;
+  if (!enums.result.includes(result)) {
+    errors.push(`result must be one of ${enums.result.join(', ')} (got "${rawResult ?? ''}")`);
+  } else {
+    match.result = result;
+  }
+
+  const rawTurn = readField(row, mapping.turn);
+  const turn = TURN_ALIASES[String(rawTurn ?? '').toLowerCase()] || rawTurn;
+  if (!enums.turn.includes(turn)) {
+    errors.push(`turn must be one of ${enums.turn.join(', ')} (got "${rawTurn ?? ''}")`);
+  } else {
+    match.turn = turn;
+  }
+
+  const rawTimestamp = readField(row, mapping.timestamp);
+  if (rawTimestamp !== undefined && rawTimestamp !== '') {
+    const createdAt = new Date(/^\d+$/.test(String(rawTimestamp)) ? Number(rawTimestamp) : rawTimestamp);
+    if (isNaN(createdAt.getTime())) {
+      errors.push(`timestamp "${rawTimestamp}" is not a valid date`);
+    } else {
+      match.createdAt = createdAt;
+    }
+  }
+
+  const rawPoints = readField(row, mapping.points);
+  if (rawPoints !== undefined && rawPoints !== '') {
+    const points = Number(rawPoints);
+    if (isNaN(points)) {
+      errors.push(`points "${rawPoints}" is not a number`);
+    } else {
+      match.customPointsAfter = points;
+    }
+  }
+
+  return { match, errors };
+};
+
+// Parse and validate an import payload. Returns one entry per source row.
+const prepareImport = ({ format, data, mapping, delimiter }, enums) => {
+  const rows = readRows(format, data, { delimiter });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const resolved = resolveMapping(rows, mapping);
+
+  return {
+    mapping: resolved,
+    rows: rows.map((row, index) => ({
+      // 1-based, counting the CSV header line
+      row: format === 'csv' ? index + 2 : index + 1,
+      ...(isRow(row)
+        ? buildMatch(row, resolved, enums)
+        : { match: {}, errors: [`row must be an object of match fields (got ${JSON.stringify(row)})`] })
+    }))
+  };
+};
+
+// Merge imported matches into existing ones in timestamp order. Returns the
+// combined list and the first index whose points need recalculating.
+const mergeByTimestamp = (existing, imported) => {
+  const now = Date.now();
+  const time = match => (match.createdAt ? new Date(match.createdAt).getTime() : now);
+  const combined = [
+    ...existing.map(match => ({ match, imported: false })),
+    ...imported.map(match => ({ match, imported: true }))
+  ].sort((a, b) => time(a.match) - time(b.match));
+
+  const firstChanged = combined.findIndex(entry => entry.imported);
+
+  return {
+    matches: combined.map(entry => entry.match),
+    fromIndex: firstChanged === -1 ? combined.length : firstChanged
+  };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  prepareImport,
+  mergeByTimestamp
+};
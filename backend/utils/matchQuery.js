@@ -0,0 +1,118 @@
+// Shared match filtering for the match query and statistics endpoints
+
+const mongoose = require('mongoose');
+
+const SORT_FIELDS = ['createdAt', 'pointsAfter', 'deck', 'opp'];
+
+// Fields stats can be grouped by. durationBucket groups matches by length;
+// gameTurn groups individual Bo3 games by their own turn order.
+const GROUP_FIELDS = [
+  'deck', 'opp', 'turn', 'gameTurn', 'coinToss', 'chosenTurn', 'format', 'reason', 'durationBucket'
+];
+
+// Upper bounds (seconds) of the duration buckets
+const DURATION_BUCKETS = [300, 600, 900, 1200];
+
+// "a,b" -> { $in: ['a', 'b'] }, "a" -> 'a'
+const listOrValue = (value) => {
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  return values.length > 1 ? { $in: values } : values[0];
+};
+
+const parseDate = (value) => {
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Resolve the sessions a query may read: the user's active sessions (or all
+// of them with includeInactive), narrowed by ?session= and ?tag=
+const resolveSessionIds = async (userId, { session, tag, includeInactive } = {}) => {
+  const Session = mongoose.model('Session');
+  const filter = { user: userId };
+
+  if (includeInactive !== 'true') filter.isActive = true;
+  if (tag) filter.tags = listOrValue(tag);
+  if (session) {
+    const ids = String(session).split(',').filter(id => mongoose.Types.ObjectId.isValid(id));
+    filter._id = { $in: ids };
+  }
+
+  return Session.distinct('_id', filter);
+};
+
+// Build a Match filter from query string fields. Returns { filter, errors }.
+const buildMatchFilter = (query) => {
+  const filter = {};
+  const errors = [];
+
+  ['deck', 'opp', 'turn', 'result', 'coinToss', 'chosenTurn', 'format', 'reason'].forEach(field => {
+    if (query[field]) filter[field] = listOrValue(query[field]);
+  });
+
+  if (query.minDuration || query.maxDuration) {
+    filter.duration = {};
+    ['minDuration', 'maxDuration'].forEach(param => {
+      if (!query[param]) return;
+      const seconds = Number(query[param]);
+      if (isNaN(seconds)) {
+        errors.push(`${param} must be a number of seconds`);
+      } else {
+        filter.duration[param === 'minDuration' ? '$gte' : '$lte'] = seconds;
+      }
+    });
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) {
+      const from = parseDate(query.from);
+      if (from) filter.createdAt.$gte = from;
+      else errors.push('from must be a valid date');
+    }
+    if (query.to) {
+      const to = parseDate(query.to);
+      if (to) filter.createdAt.$lte = to;
+      else errors.push('to must be a valid date');
+    }
+  }
+
+  return { filter, errors };
+};
+
+// ?sort=createdAt&order=desc -> { field, direction }
+const parseSort = ({ sort = 'createdAt', order = 'desc' }) => {
+  if (!SORT_FIELDS.includes(sort)) return null;
+  return { field: sort, direction: order === 'asc' ? 1 : -1 };
+};
+
+// Aggregation expression for a group-by field
+const groupKey = (field) => {
+  if (field === 'gameTurn') return '$games.turn';
+  if (field !== 'durationBucket') return `$${field}`;
+
+  return {
+    $cond: [
+      { $eq: [{ $ifNull: ['$duration', null] }, null] },
+      null,
+      {
+        $switch: {
+          branches: DURATION_BUCKETS.map((limit, i) => ({
+            case: { $lt: ['$duration', limit] },
+            then: `${i === 0 ? 0 : DURATION_BUCKETS[i - 1] / 60}-${limit / 60}m`
+          })),
+          default: `${DURATION_BUCKETS[DURATION_BUCKETS.length - 1] / 60}m+`
+        }
+      }
+    ]
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  GROUP_FIELDS,
+  groupKey,
+  parseDate,
+  resolveSessionIds,
+  buildMatchFilter,
+  parseSort
+};
@@ -0,0 +1,154 @@
+// Deck-vs-opponent matchup matrix over a scope of players
+//
+// Scopes: one session, the requesting user, the user and their mutual
+// friends who share their deck statistics, or every player. Cells under the minimum sample are left out rather than
+// shown with a rate nobody should trust.
+
+const mongoose = require('mongoose');
+const { hasFormula, getFormula } = require('../formulas');
+const { withWinRate } = require('./stats');
+
+const MATRIX_SCOPES = ['session', 'user', 'friends', 'global'];
+
+// Points range from ?circle=min-max (or min+ for min and up), in the
+// formula's own points: { range } as a query condition, or { error }
+const readCircle = (circle) => {
+  const parts = String(circle).replace(/\+$/, '').split('-');
+  const [min, max] = parts.map(part => part.trim() === '' ? NaN : Number(part));
+  if (parts.length > 2 || isNaN(min) || (parts.length === 2 && !(max > min))) {
+    return { error: 'circle must look like min-max, with max above min' };
+  }
+  return { range: { $gte: min, ...(parts.length === 2 && { $lt: max }) } };
+};
+
+// Rank band as a pointsBefore filter: ?circle=min-max (points, as on the
+// leaderboard, see readCircle) or ?rank=Gold,Platinum for ladder formulas. Both need
+// ?formula= since points scales differ. Returns { filter, errors }.
+const readRankBand = ({ formula, circle, rank }) => {
+  const errors = [];
+  if (!circle && !rank) return { filter: {}, errors };
+
+  if (!formula || !hasFormula(formula)) {
+    errors.push('A rank band needs a valid formula');
+    return { filter: {}, errors };
+  }
+
+  if (circle) {
+    const { range, error } = readCircle(circle);
+    if (error) {
+      errors.push(error);
+      return { filter: {}, errors };
+    }
+    return { filter: { pointsBefore: range }, errors };
+  }
+
+  const ladder = getFormula(formula);
+  const tiers = String(rank).split(',').map(tier => tier.trim());
+  if (!ladder.ranks || tiers.some(tier => !ladder.ranks.includes(tier))) {
+    errors.push(ladder.ranks
+      ? `rank must be one or more of ${ladder.ranks.join(', ')}`
+      : `The ${ladder.label} formula has no ranks, use circle instead`);
+    return { filter: {}, errors };
+  }
+
+  // Each tier spans from its lowest level to the next tier's lowest level
+  const bands = tiers.map(tier => {
+    const next = ladder.ranks[ladder.ranks.indexOf(tier) + 1];
+    return {
+      pointsBefore: {
+        $gte: ladder.encode({ tier }),
+        ...(next && { $lt: ladder.encode({ tier: next }) })
+      }
+    };
+  });
+  return { filter: bands.length === 1 ? bands[0] : { $or: bands }, errors };
+};
+
+// Sessions a matrix scope reads: active sessions only, optionally narrowed
+// to one points formula
+const resolveScopeSessionIds = async (user, { scope, session, formula }) => {
+  const Session = mongoose.model('Session');
+  const filter = { isActive: true };
+
+  if (formula) filter.pointsFormula = formula;
+
+  if (scope === 'session') {
+    filter.user = user._id;
+    filter._id = mongoose.isValidObjectId(session) ? session : null;
+  } else if (scope === 'user') {
+    filter.user = user._id;
+  } else if (scope === 'friends') {
+    const friends = await mongoose.model('User').mutualFriendIds(user, { sharingDeckLists: true });
+    filter.user = { $in: [user._id, ...friends] };
+  }
+
+  return Session.distinct('_id', filter);
+};
+
+// Matrix cells for matches matching `filter`. Deck and opponent names are
+// merged by archetype before the threshold is applied.
+const buildMatchupMatrix = async (filter, { minSample = 1, rateOptions } = {}) => {
+  const Match = mongoose.model('Match');
+  const Archetype = mongoose.model('Archetype');
+
+  const rows = await Match.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: { deck: '$deck', opp: '$opp' },
+        matches: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $eq: ['$result', 'Win'] }, 1, 0] } },
+        players: { $addToSet: '$user' }
+      }
+    }
+  ]);
+
+  const canonical = await Archetype.canonicalize(rows.flatMap(row => [row._id.deck, row._id.opp]));
+  const cells = new Map();
+
+  rows.forEach(row => {
+    const deck = canonical.get(row._id.deck) || row._id.deck;
+    const opp = canonical.get(row._id.opp) || row._id.opp;
+    const key = JSON.stringify([deck, opp]);
+    const cell = cells.get(key) || { deck, opp, matches: 0, wins: 0, players: new Set() };
+
+    cell.matches += row.matches;
+    cell.wins += row.wins;
+    row.players.forEach(player => cell.players.add(player.toString()));
+    cells.set(key, cell);
+  });
+
+  const all = [...cells.values()];
+  const shown = all
+    .filter(cell => cell.matches >= minSample)
+    .map(({ players, ...cell }) => withWinRate({
+      ...cell,
+      losses: cell.matches - cell.wins,
+      players: players.size
+    }, rateOptions))
+    .sort((a, b) => b.matches - a.matches);
+
+  // Decks and opponents ordered by how often they appear in shown cells
+  const countBy = (field) => [...shown.reduce((counts, cell) => {
+    counts.set(cell[field], (counts.get(cell[field]) || 0) + cell.matches);
+    return counts;
+  }, new Map())]
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, matches]) => ({ name, matches }));
+
+  return {
+    totalMatches: all.reduce((sum, cell) => sum + cell.matches, 0),
+    decks: countBy('deck'),
+    opponents: countBy('opp'),
+    cells: shown,
+    hiddenCells: all.length - shown.length
+  };
+};
+
+module.exports = {
+  MATRIX_SCOPES,
+  readCircle,
+  readRankBand,
+  resolveScopeSessionIds,
+  buildMatchupMatrix
+};
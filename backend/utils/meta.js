@@ -0,0 +1,162 @@
+// Meta aggregations shared by the meta, recommendation and trend endpoints
+
+const mongoose = require('mongoose');
+const { rate, winRateInterval, normalQuantile } = require('./stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREND_BUCKETS = {
+  day: { ms: DAY_MS, defaultCount: 30 },
+  week: { ms: 7 * DAY_MS, defaultCount: 12 }
+};
+const TREND_LIMIT = 20;
+
+// A change in play rate is flagged when it is significant at this level and
+// at least this large relative to the earlier play rate
+const TREND_LEVEL = 0.95;
+const TREND_MIN_RELATIVE_CHANGE = 0.25;
+
+// Deck usage ('deck': what players bring) or opponent usage ('opp': what
+// they run into) over matches matching `filter`. `wins` are counted for the
+// deck in question, so opponent rows count the opponent's wins.
+const usageBy = (field, filter) => mongoose.model('Match').aggregate([
+  { $match: filter },
+  {
+    $group: {
+      _id: `$${field}`,
+      totalMatches: { $sum: 1 },
+      wins: {
+        $sum: {
+          $cond: [{ $eq: ['$result', field === 'opp' ? 'Loss' : 'Win'] }, 1, 0]
+        }
+      }
+    }
+  },
+  { $project: { deck: '$_id', totalMatches: 1, wins: 1 } },
+  { $sort: { totalMatches: -1 } }
+]);
+
+// Start of the bucket holding `date`: UTC midnight, or the Monday before
+// for weekly buckets
+const bucketStart = (date, bucket) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (bucket === 'week') day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+// Compare the play rate over the most recent third of the buckets with the
+// buckets before it (two-proportion z-test)
+const classifyTrend = (series) => {
+  const split = series.length - Math.max(Math.ceil(series.length / 3), 1);
+  const sum = (list, field) => list.reduce((total, point) => total + point[field], 0);
+  const [earlier, recent] = [series.slice(0, split), series.slice(split)];
+  const [n0, n1] = [sum(earlier, 'total'), sum(recent, 'total')];
+  const [x0, x1] = [sum(earlier, 'matches'), sum(recent, 'matches')];
+
+  if (n0 === 0 || n1 === 0) {
+    return { direction: 'steady', playRateBefore: rate(x0, n0), playRateRecent: rate(x1, n1), change: 0, z: 0 };
+  }
+
+  const [p0, p1] = [x0 / n0, x1 / n1];
+  const pooled = (x0 + x1) / (n0 + n1);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n0 + 1 / n1));
+  const z = se > 0 ? (p1 - p0) / se : 0;
+  const critical = normalQuantile(1 - (1 - TREND_LEVEL) / 2);
+  const large = Math.abs(p1 - p0) >= TREND_MIN_RELATIVE_CHANGE * Math.max(p0, 1 / n0);
+
+  let direction = 'steady';
+  if (Math.abs(z) >= critical && large) direction = z > 0 ? 'rising' : 'falling';
+
+  return {
+    direction,
+    playRateBefore: rate(x0, n0),
+    playRateRecent: rate(x1, n1),
+    change: Math.round((p1 - p0) * 1000) / 10,
+    z: Math.round(z * 100) / 100
+  };
+};
+
+// Play rate and win rate per archetype per day or week between `from` and
+// `to`, over matches matching `filter`. `side` is 'deck' (what players
+// bring) or 'opp' (what they run into).
+const metaTrends = async (filter, { bucket, from, to, side = 'deck', rateOptions } = {}) => {
+  const Match = mongoose.model('Match');
+  const Archetype = mongoose.model('Archetype');
+  const { ms } = TREND_BUCKETS[bucket];
+  const origin = bucketStart(from, bucket);
+  const count = Math.max(Math.ceil((to - origin) / ms), 1);
+
+  const rows = await Match.aggregate([
+    { $match: { ...filter, createdAt: { $gte: origin, $lt: to } } },
+    {
+      $group: {
+        _id: {
+          deck: `$${side}`,
+          bucket: { $floor: { $divide: [{ $subtract: ['$createdAt', origin] }, ms] } }
+        },
+        matches: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $eq: ['$result', side === 'opp' ? 'Loss' : 'Win'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const resolved = await Archetype.resolve(rows.map(row => row._id.deck));
+  const totals = new Array(count).fill(0);
+  const archetypes = new Map();
+
+  rows.forEach(({ _id, matches, wins }) => {
+    const archetype = resolved.get(_id.deck);
+    const name = archetype ? archetype.name : String(_id.deck).trim();
+    if (!archetypes.has(name)) {
+      archetypes.set(name, {
+        deck: name,
+        icon: archetype?.icon || null,
+        buckets: Array.from({ length: count }, () => ({ matches: 0, wins: 0 }))
+      });
+    }
+    const point = archetypes.get(name).buckets[_id.bucket];
+    point.matches += matches;
+    point.wins += wins;
+    totals[_id.bucket] += matches;
+  });
+
+  const buckets = totals.map((total, i) => ({ start: new Date(origin.getTime() + i * ms), matches: total }));
+  const all = [...archetypes.values()].map(({ deck, icon, buckets: points }) => {
+    const series = points.map((point, i) => ({ ...point, total: totals[i] }));
+    const matches = series.reduce((sum, point) => sum + point.matches, 0);
+
+    return {
+      deck,
+      icon,
+      matches,
+      trend: classifyTrend(series),
+      series: series.map((point, i) => ({
+        start: buckets[i].start,
+        matches: point.matches,
+        playRate: rate(point.matches, point.total),
+        wins: point.wins,
+        winRate: rate(point.wins, point.matches),
+        winRateInterval: winRateInterval(point.wins, point.matches, rateOptions)
+      }))
+    };
+  }).sort((a, b) => b.matches - a.matches);
+
+  // The most played archetypes, plus any breaking out or dropping off
+  const shown = all.filter((archetype, i) => i < TREND_LIMIT || archetype.trend.direction !== 'steady');
+
+  return {
+    bucket,
+    side,
+    from: origin,
+    to,
+    buckets,
+    archetypes: shown,
+    rising: shown.filter(archetype => archetype.trend.direction === 'rising').map(archetype => archetype.deck),
+    falling: shown.filter(archetype => archetype.trend.direction === 'falling').map(archetype => archetype.deck)
+  };
+};
+
+module.exports = {
+  TREND_BUCKETS,
+  usageBy,
+  metaTrends
+};
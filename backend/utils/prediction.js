@@ -0,0 +1,577 @@
+// Per-user match prediction
+//
+// A Bayesian logistic regression fitted on all of a user's matches:
+//
+//   logit P(win) = meta(deck, opp, turn) + skill + turn effect
+//                  + deck effect + opponent effect + matchup effect
+//
+// `meta` is a fixed offset from every other player's results (the global
+// meta prior); the remaining terms are the user's deviations from it, each
+// with a normal prior centred on zero, so a deck or matchup the user has
+// barely played falls back to the meta. The posterior mode is found with
+// Newton's method and its curvature (Laplace approximation) gives the
+// uncertainty of each prediction.
+//
+// Calibration is measured by rolling-origin evaluation: the model is fitted
+// on the user's earlier matches and scored on the next block, block by
+// block. Those out-of-sample predictions also fit a Platt scaling map that
+// calibrates live predictions.
+//
+// Fitted predictors are cached per user until their sessions' revisions
+// change (every write bumps one, see sessionWrite.js); the meta prior is
+// reused for META_CACHE_MS and shared with recommendations. Calibration
+// takes seconds on long histories, so it runs in the background, yielding
+// to other requests, and predictions keep the previous Platt map until the
+// new one is ready.
+
+const mongoose = require('mongoose');
+const { rate, winRateInterval, normalQuantile } = require('./stats');
+
+// Prior standard deviations of the user's effects (logit scale)
+const PRIOR_SD = {
+  skill: 1,
+  turn: 0.5,
+  deck: 0.5,
+  opp: 0.5,
+  matchup: 0.5
+};
+
+// Beta(5, 5) pseudo-counts pulling thin meta cells toward 50%
+const META_PSEUDO_MATCHES = 10;
+
+const MAX_HISTORY = 5000;
+const CALIBRATION_FOLDS = 5;
+const MIN_CALIBRATION_MATCHES = 30;
+const CALIBRATION_BINS = 10;
+
+const META_CACHE_MS = 10 * 60 * 1000;
+const MAX_CACHED_PREDICTORS = 200;
+// Conjugate gradient iterations between yields while fitting
+const SOLVER_STEPS_PER_YIELD = 10;
+
+// Let pending I/O and other requests run between chunks of work
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+const logit = p => Math.log(p / (1 - p));
+const turnSign = turn => (turn === '1st' ? 1 : turn === '2nd' ? -1 : 0);
+const round3 = value => Math.round(value * 1000) / 1000;
+const percent = p => Math.round(p * 1000) / 10;
+
+// Meta prior from everyone except `userId`: shrunk matchup logits plus a
+// shared going-first effect. Cells are kept under canonical archetype names;
+// lookups resolve the names stored on others' matches the same way.
+const loadMetaPrior = async (userId) => {
+  const Session = mongoose.model('Session');
+  const Match = mongoose.model('Match');
+  const Archetype = mongoose.model('Archetype');
+  const sessionIds = await Session.distinct('_id', { isActive: true, user: { $ne: userId } });
+  const isWin = { $cond: [{ $eq: ['$result', 'Win'] }, 1, 0] };
+
+  const [pairs, turns] = await Promise.all([
+    Match.aggregate([
+      { $match: { session: { $in: sessionIds } } },
+      { $group: { _id: { deck: '$deck', opp: '$opp' }, matches: { $sum: 1 }, wins: { $sum: isWin } } }
+    ]),
+    Match.aggregate([
+      { $match: { session: { $in: sessionIds } } },
+      { $group: { _id: '$turn', matches: { $sum: 1 }, wins: { $sum: isWin } } }
+    ])
+  ]);
+
+  const shrunkLogit = ({ wins = 0, matches = 0 } = {}) =>
+    logit((wins + META_PSEUDO_MATCHES / 2) / (matches + META_PSEUDO_MATCHES));
+
+  const canonical = await Archetype.canonicalize(pairs.flatMap(pair => [pair._id.deck, pair._id.opp]));
+  const cellKey = (deck, opp) => JSON.stringify([canonical.get(deck) || deck, canonical.get(opp) || opp]);
+  const cells = new Map();
+  pairs.forEach(pair => {
+    const key = cellKey(pair._id.deck, pair._id.opp);
+    const cell = cells.get(key) || { matches: 0, wins: 0 };
+    cell.matches += pair.matches;
+    cell.wins += pair.wins;
+    cells.set(key, cell);
+  });
+  const byTurn = turn => turns.find(group => group._id === turn);
+  const firstEffect = (shrunkLogit(byTurn('1st')) - shrunkLogit(byTurn('2nd'))) / 2;
+
+  return {
+    matches: pairs.reduce((sum, pair) => sum + pair.matches, 0),
+    firstEffect,
+    offset: (deck, opp, turn) =>
+      shrunkLogit(cells.get(cellKey(deck, opp))) + firstEffect * turnSign(turn),
+    cell: (deck, opp) => cells.get(cellKey(deck, opp)) || { matches: 0, wins: 0 }
+  };
+};
+
+// Parameter layout for a set of training matches: named effects mapped to
+// positions in the coefficient vector, with their prior precisions
+const buildLayout = (matches) => {
+  const index = new Map();
+  const precision = [];
+  const add = (key, sd) => {
+    if (index.has(key)) return;
+    index.set(key, precision.length);
+    precision.push(1 / (sd * sd));
+  };
+
+  add('skill', PRIOR_SD.skill);
+  add('turn', PRIOR_SD.turn);
+  matches.forEach(match => {
+    add(`deck:${match.deck}`, PRIOR_SD.deck);
+    add(`opp:${match.opp}`, PRIOR_SD.opp);
+    add(`matchup:${match.deck}|${match.opp}`, PRIOR_SD.matchup);
+  });
+
+  return { index, precision };
+};
+
+// Sparse design row: [position, value] pairs for the effects known to the
+// layout (unseen decks and matchups fall back to the prior, i.e. zero)
+const featuresOf = (layout, { deck, opp, turn }) => [
+  ['skill', 1],
+  ['turn', turnSign(turn)],
+  [`deck:${deck}`, 1],
+  [`opp:${opp}`, 1],
+  [`matchup:${deck}|${opp}`, 1]
+]
+  .filter(([key, value]) => value !== 0 && layout.index.has(key))
+  .map(([key, value]) => [layout.index.get(key), value]);
+
+const dot = (features, vector) => features.reduce((sum, [i, value]) => sum + vector[i] * value, 0);
+
+// Solve H x = b for the (positive definite) posterior precision H without
+// forming it: H v = sum_i w_i x_i (x_i . v) + diag(precision) v. Pauses
+// after every iteration so callers choose between running it through
+// (conjugateGradient) and yielding along the way (conjugateGradientAsync).
+function* solverSteps(rows, weights, precision, b) {
+  const multiply = (v) => {
+    const out = precision.map((lambda, i) => lambda * v[i]);
+    rows.forEach((row, r) => {
+      const scaled = weights[r] * dot(row.features, v);
+      row.features.forEach(([i, value]) => { out[i] += scaled * value; });
+    });
+    return out;
+  };
+
+  const x = new Array(b.length).fill(0);
+  let residual = [...b];
+  let direction = [...b];
+  let norm = residual.reduce((sum, value) => sum + value * value, 0);
+
+  for (let iteration = 0; iteration < 200 && norm > 1e-12; iteration++) {
+    const product = multiply(direction);
+    const step = norm / direction.reduce((sum, value, i) => sum + value * product[i], 0);
+    direction.forEach((value, i) => {
+      x[i] += step * value;
+      residual[i] -= step * product[i];
+    });
+    const next = residual.reduce((sum, value) => sum + value * value, 0);
+    direction = residual.map((value, i) => value + (next / norm) * direction[i]);
+    norm = next;
+    yield;
+  }
+  return x;
+}
+
+const conjugateGradient = (...args) => {
+  const steps = solverSteps(...args);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+const conjugateGradientAsync = async (...args) => {
+  const steps = solverSteps(...args);
+  let step = steps.next();
+  for (let count = 1; !step.done; count++) {
+    if (count % SOLVER_STEPS_PER_YIELD === 0) await yieldToEventLoop();
+    step = steps.next();
+  }
+  return step.value;
+};
+
+// Posterior mode by Newton's method, yielding to the event loop as it goes.
+// Rows are { features, offset, y }.
+const fitModel = async (matches, meta) => {
+  const layout = buildLayout(matches);
+  const rows = matches.map(match => ({
+    features: featuresOf(layout, match),
+    offset: meta.offset(match.deck, match.opp, match.turn),
+    y: match.result === 'Win' ? 1 : 0
+  }));
+  const { precision } = layout;
+  let beta = new Array(precision.length).fill(0);
+  let weights = rows.map(() => 0.25);
+
+  for (let iteration = 0; iteration < 25; iteration++) {
+    await yieldToEventLoop();
+    const mu = rows.map(row => sigmoid(row.offset + dot(row.features, beta)));
+    weights = mu.map(p => Math.max(p * (1 - p), 1e-9));
+
+    const gradient = precision.map((lambda, i) => -lambda * beta[i]);
+    rows.forEach((row, r) => {
+      row.features.forEach(([i, value]) => { gradient[i] += (row.y - mu[r]) * value; });
+    });
+
+    const step = await conjugateGradientAsync(rows, weights, precision, gradient);
+    beta = beta.map((value, i) => value + step[i]);
+    if (Math.max(...step.map(Math.abs)) < 1e-6) break;
+  }
+
+  return { layout, beta, rows, weights, meta };
+};
+
+// Probability for a match-up under a fitted model, with its Laplace
+// interval. The mean integrates over the coefficient uncertainty (probit
+// approximation), so thin data pulls it toward the meta.
+const predictWith = (model, match, { level = 0.95 } = {}) => {
+  const features = featuresOf(model.layout, match);
+  const offset = model.meta.offset(match.deck, match.opp, match.turn);
+  const eta = offset + dot(features, model.beta);
+
+  const unit = new Array(model.beta.length).fill(0);
+  features.forEach(([i, value]) => { unit[i] = value; });
+  const variance = features.length > 0
+    ? dot(features, conjugateGradient(model.rows, model.weights, model.layout.precision, unit))
+    : 0;
+  const z = normalQuantile(1 - (1 - level) / 2);
+  const sd = Math.sqrt(Math.max(variance, 0));
+
+  const effect = key => {
+    const i = model.layout.index.get(key);
+    return i === undefined ? 0 : model.beta[i];
+  };
+
+  return {
+    eta,
+    probability: sigmoid(eta / Math.sqrt(1 + Math.PI * variance / 8)),
+    low: sigmoid(eta - z * sd),
+    high: sigmoid(eta + z * sd),
+    effects: {
+      meta: round3(offset),
+      skill: round3(effect('skill')),
+      turn: round3(effect('turn') * turnSign(match.turn)),
+      deck: round3(effect(`deck:${match.deck}`)),
+      opp: round3(effect(`opp:${match.opp}`)),
+      matchup: round3(effect(`matchup:${match.deck}|${match.opp}`))
+    }
+  };
+};
+
+// Platt scaling: logit p' = a * logit p + b, fitted on out-of-sample
+// predictions with a prior holding it near the identity
+const fitPlatt = (predictions) => {
+  const PRIOR_PRECISION = 4;
+  let [a, b] = [1, 0];
+
+  for (let iteration = 0; iteration < 25; iteration++) {
+    let [ga, gb] = [-PRIOR_PRECISION * (a - 1), -PRIOR_PRECISION * b];
+    let [haa, hab, hbb] = [PRIOR_PRECISION, 0, PRIOR_PRECISION];
+
+    predictions.forEach(({ probability, y }) => {
+      const x = logit(Math.min(Math.max(probability, 1e-6), 1 - 1e-6));
+      const p = sigmoid(a * x + b);
+      const w = p * (1 - p);
+      ga += (y - p) * x;
+      gb += y - p;
+      haa += w * x * x;
+      hab += w * x;
+      hbb += w;
+    });
+
+    const det = haa * hbb - hab * hab;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    a += da;
+    b += db;
+    if (Math.abs(da) < 1e-8 && Math.abs(db) < 1e-8) break;
+  }
+
+  const apply = probability =>
+    sigmoid(a * logit(Math.min(Math.max(probability, 1e-6), 1 - 1e-6)) + b);
+  return { a: round3(a), b: round3(b), apply };
+};
+
+// Brier score, log loss, expected calibration error and reliability bins
+const scorePredictions = (predictions) => {
+  const n = predictions.length;
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    from: i / CALIBRATION_BINS,
+    to: (i + 1) / CALIBRATION_BINS,
+    matches: 0,
+    predicted: 0,
+    wins: 0
+  }));
+
+  let brier = 0;
+  let logLoss = 0;
+  predictions.forEach(({ probability, y }) => {
+    const p = Math.min(Math.max(probability, 1e-6), 1 - 1e-6);
+    brier += (p - y) ** 2;
+    logLoss -= y * Math.log(p) + (1 - y) * Math.log(1 - p);
+
+    const bin = bins[Math.min(Math.floor(p * CALIBRATION_BINS), CALIBRATION_BINS - 1)];
+    bin.matches += 1;
+    bin.predicted += p;
+    bin.wins += y;
+  });
+
+  const filled = bins.filter(bin => bin.matches > 0);
+  return {
+    matches: n,
+    brier: round3(brier / n),
+    logLoss: round3(logLoss / n),
+    calibrationError: round3(filled.reduce(
+      (sum, bin) => sum + (bin.matches / n) * Math.abs(bin.predicted / bin.matches - bin.wins / bin.matches), 0
+    )),
+    bins: filled.map(bin => ({
+      from: percent(bin.from),
+      to: percent(bin.to),
+      matches: bin.matches,
+      predicted: percent(bin.predicted / bin.matches),
+      observed: rate(bin.wins, bin.matches),
+      observedInterval: winRateInterval(bin.wins, bin.matches)
+    }))
+  };
+};
+
+// Rolling-origin evaluation over matches in play order. Resolves to the
+// out-of-sample predictions, with the base-rate forecast for comparison.
+const rollingPredictions = async (matches, meta) => {
+  const blockSize = Math.floor(matches.length / (CALIBRATION_FOLDS + 1));
+  const predictions = [];
+
+  for (let fold = 1; fold <= CALIBRATION_FOLDS; fold++) {
+    const training = matches.slice(0, fold * blockSize);
+    const testing = matches.slice(fold * blockSize, fold === CALIBRATION_FOLDS ? matches.length : (fold + 1) * blockSize);
+    await yieldToEventLoop();
+    const model = await fitModel(training, meta);
+    const baseRate = (training.filter(match => match.result === 'Win').length + 1) / (training.length + 2);
+
+    // Matches with the same deck, opponent and turn get the same prediction,
+    // and each one costs a solve
+    const byMatchup = new Map();
+    for (const match of testing) {
+      const key = JSON.stringify([match.deck, match.opp, match.turn]);
+      if (!byMatchup.has(key)) {
+        await yieldToEventLoop();
+        byMatchup.set(key, predictWith(model, match).probability);
+      }
+
+      predictions.push({
+        probability: byMatchup.get(key),
+        baseRate,
+        y: match.result === 'Win' ? 1 : 0
+      });
+    }
+  }
+  return predictions;
+};
+
+// Calibration report for a user's history, plus the Platt map fitted on it
+// (identity when there are too few matches to evaluate)
+const evaluateCalibration = async (matches, meta) => {
+  if (matches.length < MIN_CALIBRATION_MATCHES) {
+    return {
+      platt: { a: 1, b: 0, apply: probability => probability },
+      report: {
+        evaluated: false,
+        reason: `At least ${MIN_CALIBRATION_MATCHES} matches are needed to measure calibration`,
+        matches: matches.length
+      }
+    };
+  }
+
+  const predictions = await rollingPredictions(matches, meta);
+  const platt = fitPlatt(predictions);
+
+  return {
+    platt,
+    report: {
+      evaluated: true,
+      method: `rolling origin, ${CALIBRATION_FOLDS} blocks`,
+      model: scorePredictions(predictions),
+      calibrated: scorePredictions(predictions.map(prediction => ({
+        ...prediction,
+        probability: platt.apply(prediction.probability)
+      }))),
+      baseline: scorePredictions(predictions.map(prediction => ({
+        ...prediction,
+        probability: prediction.baseRate
+      }))),
+      platt: { a: platt.a, b: platt.b }
+    }
+  };
+};
+
+// The user's matches in play order (most recent MAX_HISTORY), across all
+// their active sessions
+const loadUserMatches = async (userId) => {
+  const Session = mongoose.model('Session');
+  const Match = mongoose.model('Match');
+  const sessionIds = await Session.distinct('_id', { user: userId, isActive: true });
+
+  const matches = await Match.find({ session: { $in: sessionIds } })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(MAX_HISTORY)
+    .select('deck opp turn result createdAt')
+    .lean();
+  return matches.reverse();
+};
+
+// The user's raw record behind a prediction: with the deck overall, going
+// first or second, in the matchup and over their last 10 games with it
+const historyFactors = (matches, { deck, opp, turn }) => {
+  const record = (subset) => {
+    const wins = subset.filter(match => match.result === 'Win').length;
+    return {
+      matches: subset.length,
+      wins,
+      winRate: rate(wins, subset.length),
+      winRateInterval: winRateInterval(wins, subset.length)
+    };
+  };
+  const withDeck = matches.filter(match => match.deck === deck);
+
+  return {
+    overall: record(withDeck),
+    turn: record(withDeck.filter(match => match.turn === turn)),
+    matchup: record(withDeck.filter(match => match.opp === opp)),
+    recent: record(withDeck.slice(-10))
+  };
+};
+
+// Cached meta priors: user id -> { loadedAt, loading }, least recently used
+// first. The prior aggregates everyone else's matches, so predictions and
+// recommendations share one copy per user.
+const metaPriors = new Map();
+
+// The meta prior for `userId`, loaded at most once per META_CACHE_MS.
+// Resolves to { meta, loadedAt }.
+const getMetaPrior = (userId) => {
+  const key = userId.toString();
+  const cached = metaPriors.get(key);
+  if (cached && Date.now() - cached.loadedAt < META_CACHE_MS) return cached.loading;
+
+  const entry = { loadedAt: Date.now() };
+  entry.loading = loadMetaPrior(userId).then(meta => ({ meta, loadedAt: entry.loadedAt }));
+  // A failed load is retried by the next caller
+  entry.loading.catch(() => {
+    if (metaPriors.get(key) === entry) metaPriors.delete(key);
+  });
+
+  metaPriors.delete(key);
+  metaPriors.set(key, entry);
+  if (metaPriors.size > MAX_CACHED_PREDICTORS) {
+    metaPriors.delete(metaPriors.keys().next().value);
+  }
+  return entry.loading;
+};
+
+// Cached predictors: user id -> { version, matches, meta, metaLoadedAt,
+// model, calibration, calibrating }, least recently used first
+const predictors = new Map();
+// Refreshes in flight by user id, shared by concurrent requests
+const refreshing = new Map();
+
+// Changes whenever the user's active sessions or their matches do
+const historyVersion = async (userId) => {
+  const sessions = await mongoose.model('Session').find({ user: userId, isActive: true })
+    .sort({ _id: 1 })
+    .select('revision')
+    .lean();
+  return sessions.map(session => `${session._id}:${session.revision || 0}`).join(',');
+};
+
+// Fit the model for the user's current history, reusing the previous entry's
+// calibration until the new one is ready
+const refreshPredictor = async (userId, version, previous) => {
+  const [matches, { meta, loadedAt }] = await Promise.all([
+    loadUserMatches(userId),
+    getMetaPrior(userId)
+  ]);
+
+  const entry = {
+    version,
+    matches,
+    meta,
+    metaLoadedAt: loadedAt,
+    model: await fitModel(matches, meta),
+    calibration: previous ? previous.calibration : null
+  };
+  entry.calibrating = evaluateCalibration(matches, meta)
+    .then(calibration => {
+      entry.calibration = calibration;
+    })
+    .catch(error => console.error('Prediction calibration error:', error))
+    .finally(() => {
+      entry.calibrating = null;
+    });
+
+  // The first calibration is waited for; later ones replace the last in
+  // the background
+  if (!entry.calibration) await entry.calibrating;
+  return entry;
+};
+
+// Fitted predictor for a user: { predict(match), calibration, matches, meta }.
+// `calibration` is the report of the Platt map in use, marked `updating`
+// while a newer one is being measured.
+const getPredictor = async (userId) => {
+  const key = userId.toString();
+  const version = await historyVersion(userId);
+  let entry = predictors.get(key);
+
+  if (!entry || entry.version !== version || Date.now() - entry.metaLoadedAt >= META_CACHE_MS) {
+    if (!refreshing.has(key)) {
+      refreshing.set(key, refreshPredictor(userId, version, entry).finally(() => refreshing.delete(key)));
+    }
+    entry = await refreshing.get(key);
+  }
+  predictors.delete(key);
+  predictors.set(key, entry);
+  if (predictors.size > MAX_CACHED_PREDICTORS) {
+    predictors.delete(predictors.keys().next().value);
+  }
+
+  const { model, calibration } = entry;
+  const platt = calibration ? calibration.platt : { apply: probability => probability };
+
+  const predict = (match, options) => {
+    const raw = predictWith(model, match, options);
+    return {
+      probability: percent(platt.apply(raw.probability)),
+      uncalibrated: percent(raw.probability),
+      interval: {
+        low: percent(platt.apply(raw.low)),
+        high: percent(platt.apply(raw.high))
+      },
+      metaProbability: percent(sigmoid(raw.effects.meta)),
+      effects: raw.effects
+    };
+  };
+
+  return {
+    predict,
+    calibration: calibration
+      ? { ...calibration.report, ...(entry.calibrating && { updating: true }) }
+      : { evaluated: false, reason: 'Calibration could not be measured', matches: entry.matches.length },
+    matches: entry.matches,
+    meta: entry.meta
+  };
+};
+
+module.exports = {
+  PRIOR_SD,
+  loadMetaPrior,
+  getMetaPrior,
+  fitModel,
+  predictWith,
+  fitPlatt,
+  scorePredictions,
+  evaluateCalibration,
+  loadUserMatches,
+  historyFactors,
+  getPredictor
+};
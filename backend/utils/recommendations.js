@@ -0,0 +1,155 @@
+// Deck recommendations: expected win rate against the field
+//
+// The field is what players have actually been running into recently (the
+// opponent usage aggregation, narrowed by window and rank band). A deck's
+// expected win rate is its win rate against each opponent archetype weighted
+// by how often that archetype shows up. Per-matchup win rates blend the
+// user's own record with the meta's win rate for the matchup, so an
+// archetype they've met twice doesn't swing the estimate.
+
+const mongoose = require('mongoose');
+const { normalQuantile, DEFAULT_LEVEL } = require('./stats');
+const { usageBy } = require('./meta');
+const { groupByArchetype } = require('./archetypes');
+const { getMetaPrior } = require('./prediction');
+
+// Pseudo-matches of the meta matchup win rate added to the user's record
+const META_PRIOR_MATCHES = 5;
+const DRIVER_COUNT = 5;
+const FIELD_LIMIT = 20;
+
+const percent = value => Math.round(value * 1000) / 10;
+
+// Encounter shares of opponent archetypes in matches matching `filter`
+const loadField = async (filter) => {
+  const usage = await groupByArchetype(await usageBy('opp', filter), {
+    nameField: 'deck',
+    totalField: 'totalMatches',
+    counters: ['totalMatches', 'wins']
+  });
+  const matches = usage.reduce((sum, row) => sum + row.totalMatches, 0);
+
+  return {
+    matches,
+    opponents: usage
+      .map(row => ({ name: row.deck, icon: row.icon, matches: row.totalMatches, share: row.totalMatches / matches }))
+      .sort((a, b) => b.matches - a.matches)
+  };
+};
+
+// The user's record per deck and opponent archetype: Map deck -> Map opp ->
+// { matches, wins }
+const loadUserRecords = async (userId) => {
+  const Session = mongoose.model('Session');
+  const Match = mongoose.model('Match');
+  const Archetype = mongoose.model('Archetype');
+  const sessionIds = await Session.distinct('_id', { user: userId, isActive: true });
+
+  const rows = await Match.aggregate([
+    { $match: { session: { $in: sessionIds } } },
+    {
+      $group: {
+        _id: { deck: '$deck', opp: '$opp' },
+        matches: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $eq: ['$result', 'Win'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const canonical = await Archetype.canonicalize(rows.flatMap(row => [row._id.deck, row._id.opp]));
+  const records = new Map();
+  rows.forEach(row => {
+    const deck = canonical.get(row._id.deck) || row._id.deck;
+    const opp = canonical.get(row._id.opp) || row._id.opp;
+    if (!records.has(deck)) records.set(deck, new Map());
+    const record = records.get(deck).get(opp) || { matches: 0, wins: 0 };
+    record.matches += row.matches;
+    record.wins += row.wins;
+    records.get(deck).set(opp, record);
+  });
+  return records;
+};
+
+// Beta posterior of one matchup: the user's record on top of
+// META_PRIOR_MATCHES pseudo-matches at the meta win rate
+const matchupEstimate = ({ matches, wins }, metaRate) => {
+  const a = wins + META_PRIOR_MATCHES * metaRate;
+  const b = matches - wins + META_PRIOR_MATCHES * (1 - metaRate);
+  return {
+    mean: a / (a + b),
+    variance: (a * b) / ((a + b) ** 2 * (a + b + 1))
+  };
+};
+
+// Expected win rate of each candidate deck against the field, with the
+// matchups that set it apart from the other candidates
+const recommendDecks = async (userId, { fieldFilter, decks: requested = [], level = DEFAULT_LEVEL }) => {
+  const [field, records, { meta }] = await Promise.all([
+    loadField(fieldFilter),
+    loadUserRecords(userId),
+    getMetaPrior(userId)
+  ]);
+  const candidates = [...new Set([...records.keys(), ...requested])];
+  const z = normalQuantile(1 - (1 - level) / 2);
+
+  const estimates = candidates.map(deck => {
+    const deckRecords = records.get(deck) || new Map();
+    const matchups = field.opponents.map(opponent => {
+      const record = deckRecords.get(opponent.name) || { matches: 0, wins: 0 };
+      const metaRate = 1 / (1 + Math.exp(-meta.offset(deck, opponent.name)));
+      return { opponent, record, metaRate, ...matchupEstimate(record, metaRate) };
+    });
+
+    const expected = matchups.reduce((sum, m) => sum + m.opponent.share * m.mean, 0);
+    const sd = Math.sqrt(matchups.reduce((sum, m) => sum + m.opponent.share ** 2 * m.variance, 0));
+    const matches = [...deckRecords.values()].reduce((sum, record) => sum + record.matches, 0);
+
+    return { deck, matchups, expected, sd, matches };
+  });
+
+  // A matchup drives the difference when the deck does better or worse in it
+  // than the candidates on average, weighted by how often it comes up
+  const averageMean = field.opponents.map((_, i) =>
+    estimates.reduce((sum, estimate) => sum + estimate.matchups[i].mean, 0) / (estimates.length || 1)
+  );
+
+  return {
+    field: {
+      matches: field.matches,
+      opponents: field.opponents.slice(0, FIELD_LIMIT).map(opponent => ({
+        ...opponent,
+        share: percent(opponent.share)
+      }))
+    },
+    decks: estimates.map(({ deck, matchups, expected, sd, matches }) => ({
+      deck,
+      matches,
+      expectedWinRate: percent(expected),
+      expectedWinRateInterval: {
+        low: percent(Math.max(expected - z * sd, 0)),
+        high: percent(Math.min(expected + z * sd, 1)),
+        sample: matches
+      },
+      // Share of the field the user has actually played this deck against
+      coverage: percent(matchups.reduce((sum, m) => sum + (m.record.matches > 0 ? m.opponent.share : 0), 0)),
+      drivers: matchups
+        .map((m, i) => ({
+          opp: m.opponent.name,
+          share: percent(m.opponent.share),
+          matches: m.record.matches,
+          wins: m.record.wins,
+          winRate: percent(m.mean),
+          metaWinRate: percent(m.metaRate),
+          contribution: percent(m.opponent.share * (m.mean - averageMean[i]))
+        }))
+        .filter(driver => driver.contribution !== 0)
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+        .slice(0, DRIVER_COUNT)
+    }))
+  };
+};
+
+module.exports = {
+  loadField,
+  recommendDecks
+};
@@ -0,0 +1,342 @@
+// Precomputed statistics rollups
+//
+// Matches from active sessions are summarised per user and day: a 'matchup'
+// rollup for each deck and opponent played that day, a 'formula' rollup for
+// each points formula and season with the points reached, and a 'day' rollup
+// with the day's totals and win runs. Decklist stats, user stats and
+// standings are built from the rollups rather than the matches, so they cost
+// the same however long the history gets.
+//
+// Writes mark the days they touch (see the Match and Session hooks) as
+// PendingDay documents, and the next Session.updateUserStats for that user
+// rebuilds just those days. A user's first update builds everything instead,
+// since marks only cover what changed after the rollups existed. At startup
+// scheduleRollupUpkeep backfills every user without rollups, then keeps
+// applying marks no request picked up (e.g. the process stopped between a
+// write and its stats update). `npm run rebuild:rollups` recomputes
+// everything for repairs.
+
+const mongoose = require('mongoose');
+const { gamesOf } = require('./games');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UPKEEP_INTERVAL_MS = 5 * 60 * 1000;
+// Marks younger than this are left to the request that made them
+const STALE_MARK_MS = 60 * 1000;
+
+// Match fields the rollups are computed from
+const ROLLUP_FIELDS = [
+  'user', 'session', 'season', 'deck', 'opp', 'result', 'turn', 'games', 'pointsAfter', 'createdAt', 'deletedAt'
+];
+
+const dayKey = date => new Date(date).toISOString().slice(0, 10);
+
+// Mark days to rebuild: [{ user, date }] with dates as Date or 'YYYY-MM-DD'
+const markChanged = async (marks) => {
+  const valid = marks.filter(({ user, date }) => user && date);
+  if (valid.length === 0) return;
+
+  const markedAt = new Date();
+  await mongoose.model('PendingDay').bulkWrite(valid.map(({ user, date }) => ({
+    updateOne: {
+      filter: { user, day: typeof date === 'string' ? date : dayKey(date) },
+      update: { $set: { markedAt } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+// Top-level fields a query update writes (operators or plain fields); null
+// for pipeline updates, which can write anything
+const updatedFields = (update) => Array.isArray(update)
+  ? null
+  : Object.keys(update || {}).flatMap(key => key.startsWith('$') ? Object.keys(update[key]) : [key])
+    .map(field => field.split('.')[0]);
+
+// Mark every day with live matches matching `filter` (already cast)
+const markMatches = async (filter) => {
+  const days = await mongoose.model('Match').aggregate([
+    { $match: filter },
+    { $group: { _id: { user: '$user', day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } } } }
+  ]);
+  await markChanged(days.map(({ _id }) => ({ user: _id.user, date: _id.day })));
+};
+
+// Clear marks a rebuild has covered. Marks made again since then have a
+// newer markedAt and stay for the next rebuild.
+const clearMarks = async (marks) => {
+  if (marks.length === 0) return;
+  await mongoose.model('PendingDay').deleteMany({
+    $or: marks.map(mark => ({ _id: mark._id, markedAt: mark.markedAt }))
+  });
+};
+
+// Bring every user with marked days up to date, for writes that touch many
+// players' matches at once. `before` limits it to marks older than a date.
+const applyAllPending = async ({ before } = {}) => {
+  const Session = mongoose.model('Session');
+  const users = await mongoose.model('PendingDay').distinct('user', before ? { markedAt: { $lt: before } } : {});
+
+  for (const userId of users) {
+    await Session.updateUserStats(userId);
+  }
+};
+
+// Match and per-turn game counters
+const countMatches = (matches) => {
+  const games = matches.flatMap(gamesOf);
+  const count = (list, result) => list.filter(item => item.result === result).length;
+  const first = games.filter(game => game.turn === '1st');
+  const second = games.filter(game => game.turn === '2nd');
+
+  return {
+    matches: matches.length,
+    wins: count(matches, 'Win'),
+    games1st: first.length,
+    wins1st: count(first, 'Win'),
+    games2nd: second.length,
+    wins2nd: count(second, 'Win')
+  };
+};
+
+// A day's win runs: from the first match, into the last match, and longest
+const winRuns = (matches) => {
+  const firstLoss = matches.findIndex(match => match.result !== 'Win');
+  const lastLoss = matches.map(match => match.result).lastIndexOf('Loss');
+  let longest = 0;
+  let run = 0;
+
+  matches.forEach(match => {
+    run = match.result === 'Win' ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+
+  return {
+    leadingWins: firstLoss === -1 ? matches.length : firstLoss,
+    trailingWins: matches.length - 1 - lastLoss,
+    longestWin: longest
+  };
+};
+
+// Recompute the rollups of `days` ('YYYY-MM-DD', all days when omitted) from
+// the user's matches. Returns the deck names whose totals may have changed.
+const refreshRollups = async (userId, days) => {
+  const Session = mongoose.model('Session');
+  const Match = mongoose.model('Match');
+  const Rollup = mongoose.model('Rollup');
+  const user = new mongoose.Types.ObjectId(userId.toString());
+
+  const dayScope = days && { day: { $in: days.map(day => new Date(day)) } };
+  const sessions = await Session.find({ user, isActive: true }).select('pointsFormula').lean();
+  const formulas = new Map(sessions.map(session => [session._id.toString(), session.pointsFormula]));
+  const matches = await Match.find({
+    user,
+    session: { $in: sessions.map(session => session._id) },
+    ...(days && {
+      $or: days.map(day => ({
+        createdAt: { $gte: new Date(day), $lt: new Date(new Date(day).getTime() + DAY_MS) }
+      }))
+    })
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('session season deck opp result turn games pointsAfter createdAt')
+    .lean();
+
+  const byDay = new Map();
+  matches.forEach(match => {
+    const key = dayKey(match.createdAt);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(match);
+  });
+
+  // Matches of one day split by `keyOf`, in play order
+  const groupBy = (dayMatches, keyOf) => dayMatches.reduce((groups, match) => {
+    const key = JSON.stringify(keyOf(match));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(match);
+    return groups;
+  }, new Map());
+
+  const none = { deck: null, opp: null, formula: null, season: null };
+  const rollups = [];
+  byDay.forEach((dayMatches, key) => {
+    const day = new Date(key);
+
+    rollups.push({ kind: 'day', day, ...none, ...countMatches(dayMatches), ...winRuns(dayMatches) });
+
+    groupBy(dayMatches, match => [match.deck, match.opp]).forEach((group, matchup) => {
+      const [deck, opp] = JSON.parse(matchup);
+      rollups.push({ kind: 'matchup', day, ...none, deck, opp, ...countMatches(group) });
+    });
+
+    groupBy(dayMatches, match => [formulas.get(match.session.toString()), match.season || null])
+      .forEach((group, ladder) => {
+        const [formula, season] = JSON.parse(ladder);
+        const last = group[group.length - 1];
+        rollups.push({
+          kind: 'formula',
+          day,
+          ...none,
+          formula,
+          season: season && new mongoose.Types.ObjectId(season),
+          ...countMatches(group),
+          lastPoints: last.pointsAfter,
+          peakPoints: Math.max(...group.map(match => match.pointsAfter)),
+          lastPlayedAt: last.createdAt
+        });
+      });
+  });
+
+  // Rollups already stored for these days, to find those left without
+  // matches. Going by key rather than refresh time keeps two concurrent
+  // rebuilds from deleting each other's rollups.
+  const rollupKey = rollup => JSON.stringify([
+    rollup.kind,
+    new Date(rollup.day).getTime(),
+    rollup.deck ?? null,
+    rollup.opp ?? null,
+    rollup.formula ?? null,
+    rollup.season ? rollup.season.toString() : null
+  ]);
+  const stored = await Rollup.find({ user, ...dayScope }).select('kind day deck opp formula season').lean();
+  const fresh = new Set(rollups.map(rollupKey));
+  const stale = stored.filter(rollup => !fresh.has(rollupKey(rollup)));
+  const refreshedAt = new Date();
+
+  if (rollups.length > 0) {
+    await Rollup.bulkWrite(rollups.map(rollup => ({
+      updateOne: {
+        filter: {
+          user,
+          kind: rollup.kind,
+          day: rollup.day,
+          deck: rollup.deck,
+          opp: rollup.opp,
+          formula: rollup.formula,
+          season: rollup.season
+        },
+        update: { $set: { ...rollup, refreshedAt } },
+        upsert: true
+      }
+    })));
+  }
+  if (stale.length > 0) {
+    await Rollup.deleteMany({ _id: { $in: stale.map(rollup => rollup._id) } });
+  }
+
+  return [...new Set([...stored, ...rollups]
+    .filter(rollup => rollup.kind === 'matchup')
+    .map(rollup => rollup.deck))];
+};
+
+// Refresh the stats of the user's decklists named in `decks` (all of them
+// when omitted)
+const refreshDeckLists = async (userId, decks) => {
+  const DeckList = mongoose.model('DeckList');
+  const decklists = await DeckList.find({ user: userId, ...(decks && { name: { $in: decks } }) });
+
+  for (const decklist of decklists) {
+    await decklist.updateStats();
+    await decklist.save();
+  }
+};
+
+// Whether the user's rollups have been built from all their matches
+const hasRollups = async (userId) =>
+  Boolean(await mongoose.model('User').exists({ _id: userId, rollupsBuiltAt: { $ne: null } }));
+
+// Build all of the user's rollups and decklist stats from their matches,
+// covering any marks made so far
+const buildRollups = async (userId) => {
+  const user = new mongoose.Types.ObjectId(userId.toString());
+  const marks = await mongoose.model('PendingDay').find({ user }).lean();
+
+  await refreshRollups(user);
+  await refreshDeckLists(user);
+  await clearMarks(marks);
+  await mongoose.model('User').updateOne({ _id: user }, { rollupsBuiltAt: new Date() });
+};
+
+// Rebuild the rollups for the user's marked days and the decklists they
+// feed, or everything if they were never built. Marks are only cleared once
+// the rebuild succeeded, so a failed one is retried.
+const applyPending = async (userId) => {
+  if (!(await hasRollups(userId))) {
+    await buildRollups(userId);
+    return;
+  }
+
+  const marks = await mongoose.model('PendingDay').find({ user: userId }).lean();
+  if (marks.length === 0) return;
+
+  const days = [...new Set(marks.map(mark => mark.day))];
+  await refreshDeckLists(userId, await refreshRollups(userId, days));
+  await clearMarks(marks);
+};
+
+// Fold day rollups (in day order) into overall totals and win streaks
+const summarizeDays = (days) => {
+  const summary = days.reduce((totals, day) => ({
+    totalMatches: totals.totalMatches + day.matches,
+    wins: totals.wins + day.wins,
+    // A run carries over from the previous day only through an unbeaten day
+    bestWinStreak: Math.max(totals.bestWinStreak, day.longestWin, totals.currentWinStreak + day.leadingWins),
+    currentWinStreak: day.leadingWins === day.matches
+      ? totals.currentWinStreak + day.matches
+      : day.trailingWins
+  }), {
+    totalMatches: 0,
+    wins: 0,
+    bestWinStreak: 0,
+    currentWinStreak: 0
+  });
+
+  return { ...summary, losses: summary.totalMatches - summary.wins };
+};
+
+// Recompute all of a user's rollups, decklists and stats
+const rebuildRollups = async (userId) => {
+  await buildRollups(userId);
+  await mongoose.model('Session').updateUserStats(userId);
+};
+
+// Build rollups for every user who has none yet (e.g. right after the
+// deploy that introduced them), converting old decklist rates on the way.
+// Returns the number of users built.
+const backfillRollups = async () => {
+  await mongoose.model('DeckList').convertLegacyRates();
+  const users = await mongoose.model('User').distinct('_id', { rollupsBuiltAt: null });
+
+  for (const userId of users) {
+    await rebuildRollups(userId);
+  }
+  return users.length;
+};
+
+// Run backfillRollups now, then periodically apply marks that have waited
+// longer than a request would, for the life of the process
+const scheduleRollupUpkeep = () => {
+  const sweep = () => applyAllPending({ before: new Date(Date.now() - STALE_MARK_MS) })
+    .catch(error => console.error('Rollup upkeep error:', error));
+
+  backfillRollups()
+    .then(built => {
+      if (built > 0) console.log(`Rollups backfilled for ${built} user${built === 1 ? '' : 's'}`);
+    })
+    .catch(error => console.error('Rollup backfill error:', error))
+    .then(() => setInterval(sweep, UPKEEP_INTERVAL_MS).unref());
+};
+
+module.exports = {
+  ROLLUP_FIELDS,
+  markChanged,
+  markMatches,
+  updatedFields,
+  hasRollups,
+  applyPending,
+  applyAllPending,
+  summarizeDays,
+  rebuildRollups,
+  backfillRollups,
+  scheduleRollupUpkeep
+};
@@ -0,0 +1,148 @@
+// Season lifecycle: monthly seasons are opened automatically, and once a
+// season has ended its per-formula standings are archived
+
+const mongoose = require('mongoose');
+const { listFormulas } = require('../formulas');
+
+const ROLLOVER_INTERVAL_MS = 60 * 60 * 1000;
+
+// Calendar month (UTC) containing `date`
+const monthOf = (date) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  return {
+    name: `${year}-${String(month + 1).padStart(2, '0')}`,
+    startsAt: new Date(Date.UTC(year, month, 1)),
+    endsAt: new Date(Date.UTC(year, month + 1, 1))
+  };
+};
+
+// Season by id, name or "current"; null when there is none
+const findSeason = (value) => {
+  const Season = mongoose.model('Season');
+  if (value === 'current') return Season.forDate();
+  return mongoose.isValidObjectId(value) ? Season.findById(value) : Season.findOne({ name: value });
+};
+
+// Per-user results for one formula during a season, best first: points are
+// the last pointsAfter the user reached in the season, from active sessions
+// only (as on the live leaderboard)
+const computeSeasonStandings = async (season, formula) => {
+  const Session = mongoose.model('Session');
+  const Match = mongoose.model('Match');
+
+  const sessionIds = await Session.distinct('_id', { pointsFormula: formula, isActive: true });
+  const standings = await Match.aggregate([
+    { $match: { season: season._id, session: { $in: sessionIds } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$user',
+        matches: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $eq: ['$result', 'Win'] }, 1, 0] } },
+        points: { $last: '$pointsAfter' },
+        peakPoints: { $max: '$pointsAfter' }
+      }
+    },
+    { $sort: { points: -1, wins: -1, _id: 1 } }
+  ]);
+
+  return standings.map((standing, index) => ({
+    user: standing._id,
+    rank: index + 1,
+    points: standing.points,
+    peakPoints: standing.peakPoints,
+    matches: standing.matches,
+    wins: standing.wins,
+    losses: standing.matches - standing.wins
+  }));
+};
+
+// Freeze a season's standings for every formula and mark it archived.
+// Running it again replaces the archived standings.
+const archiveSeason = async (season) => {
+  const Standing = mongoose.model('Standing');
+  const archived = {};
+
+  for (const { name: formula } of listFormulas()) {
+    const standings = await computeSeasonStandings(season, formula);
+
+    await Standing.deleteMany({ season: season._id, formula });
+    if (standings.length > 0) {
+      await Standing.insertMany(standings.map(standing => ({
+        ...standing,
+        season: season._id,
+        formula
+      })));
+    }
+    archived[formula] = standings.length;
+  }
+
+  season.archivedAt = new Date();
+  await season.save();
+  return archived;
+};
+
+// Make sure a season covers `now`, opening one for the current month if
+// needed. The new season fills the part of the month not taken by other
+// seasons and carries over the previous season's starting points.
+const ensureCurrentSeason = async (now = new Date()) => {
+  const Season = mongoose.model('Season');
+
+  const current = await Season.findOne({ startsAt: { $lte: now }, endsAt: { $gt: now } });
+  if (current) return current;
+
+  const month = monthOf(now);
+  const [previous, next] = await Promise.all([
+    Season.findOne({ endsAt: { $lte: now } }).sort({ endsAt: -1 }),
+    Season.findOne({ startsAt: { $gt: now } }).sort({ startsAt: 1 })
+  ]);
+
+  const startsAt = previous && previous.endsAt > month.startsAt ? previous.endsAt : month.startsAt;
+  const endsAt = next && next.startsAt < month.endsAt ? next.startsAt : month.endsAt;
+  const taken = await Season.exists({ name: month.name });
+
+  const season = await Season.create({
+    name: taken ? `${month.name} (${now.toISOString().slice(0, 10)})` : month.name,
+    startsAt,
+    endsAt,
+    startPoints: previous ? previous.startPoints : {}
+  });
+  await Season.assignMatches(season);
+  return season;
+};
+
+// Archive every season that has ended, then open the current one
+const rolloverSeasons = async (now = new Date()) => {
+  const Season = mongoose.model('Season');
+
+  const ended = await Season.find({ endsAt: { $lte: now }, archivedAt: null }).sort({ endsAt: 1 });
+  for (const season of ended) {
+    await archiveSeason(season);
+  }
+
+  const current = await ensureCurrentSeason(now);
+  return { archived: ended.map(season => season.name), current: current.name };
+};
+
+// Run rolloverSeasons now and then periodically for the life of the process
+const scheduleSeasonRollover = () => {
+  const run = () => rolloverSeasons()
+    .then(({ archived, current }) => {
+      if (archived.length > 0) console.log(`Seasons archived: ${archived.join(', ')}; current season: ${current}`);
+    })
+    .catch(error => console.error('Season rollover error:', error));
+
+  run();
+  setInterval(run, ROLLOVER_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  monthOf,
+  findSeason,
+  computeSeasonStandings,
+  archiveSeason,
+  ensureCurrentSeason,
+  rolloverSeasons,
+  scheduleSeasonRollover
+};
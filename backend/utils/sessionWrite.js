@@ -0,0 +1,118 @@
+// Serialized writes to a session's matches
+//
+// Every change to a session's matches recomputes the points chain from the
+// stored matches, so two writers working from the same snapshot would
+// overwrite each other. A writer first takes a short lease on the session
+// (`lockedUntil`), does its work, then bumps `revision` if anything changed
+// and releases the lease. Clients can pass the revision they last saw in an
+// If-Match header to get a 409 instead of silently writing over changes made
+// elsewhere. Bulk rewrites that change sessions without a lease (archetype
+// merges, season dates) bump the revisions with bumpRevisions.
+
+const mongoose = require('mongoose');
+
+const LEASE_MS = 15 * 1000;
+const MAX_ATTEMPTS = 6;
+const RETRY_DELAY_MS = 100;
+
+class SessionConflictError extends Error {
+  constructor(message, revision) {
+    super(message);
+    this.name = 'SessionConflictError';
+    this.status = 409;
+    this.revision = revision;
+  }
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// If-Match: "3" (or 3, W/"3") -> 3. Missing or * means any revision.
+const readExpectedRevision = (req) => {
+  const header = req.header('If-Match');
+  if (!header || header.trim() === '*') return undefined;
+
+  const revision = parseInt(header.replace(/^W\//, '').replace(/"/g, ''), 10);
+  return isNaN(revision) ? undefined : revision;
+};
+
+// Query condition matching a session at `expectedRevision` (any revision
+// when undefined)
+const revisionFilter = (expectedRevision) => {
+  if (expectedRevision === undefined) return {};
+  // Sessions created before revisions existed have no field yet
+  return { revision: expectedRevision === 0 ? { $in: [0, null] } : expectedRevision };
+};
+
+// Run `write(session)` while holding the session's write lease. Returns
+// { session, result }, or null when the session doesn't exist. Throws
+// SessionConflictError when `expectedRevision` is stale or the session stays
+// busy. The revision is bumped only when `write` succeeds with a result other
+// than null, undefined or false; writers return one of those when they
+// changed nothing.
+const withSessionWrite = async (sessionId, userId, expectedRevision, write) => {
+  const Session = mongoose.model('Session');
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        user: userId,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        ...revisionFilter(expectedRevision)
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+      { new: true }
+    );
+
+    if (session) {
+      let changed = false;
+      try {
+        const result = await write(session);
+        changed = result !== null && result !== undefined && result !== false;
+        return { session, result };
+      } finally {
+        await Session.updateOne(
+          { _id: session._id },
+          { ...(changed && { $inc: { revision: 1 } }), $unset: { lockedUntil: 1 } }
+        );
+        if (changed) session.revision += 1;
+      }
+    }
+
+    // Work out why the lease wasn't granted
+    const current = await Session.findOne({ _id: sessionId, user: userId }).select('revision');
+
+    if (!current) return null;
+
+    if (expectedRevision !== undefined && current.revision !== expectedRevision) {
+      throw new SessionConflictError(
+        'Session was changed by another request, reload it and try again',
+        current.revision
+      );
+    }
+
+    await wait(RETRY_DELAY_MS * attempt);
+  }
+
+  const current = await Session.findOne({ _id: sessionId, user: userId }).select('revision');
+  throw new SessionConflictError('Session is busy, try again', current ? current.revision : undefined);
+};
+
+// Bump the revisions of sessions whose matches or decks were rewritten by a
+// bulk update, so cached copies and If-Match checks see the change
+const bumpRevisions = async (sessionIds) => {
+  if (sessionIds.length === 0) return;
+  await mongoose.model('Session').updateMany(
+    { _id: { $in: sessionIds } },
+    { $inc: { revision: 1 } }
+  );
+};
+
+module.exports = {
+  SessionConflictError,
+  readExpectedRevision,
+  revisionFilter,
+  withSessionWrite,
+  bumpRevisions
+};
@@ -0,0 +1,121 @@
+// Leaderboard snapshots: every formula's all-time and current season board
+// is recorded once a day (refreshed through the day), which gives rank
+// movement since yesterday and last week, peak ranks and rank history
+
+const mongoose = require('mongoose');
+const { listFormulas } = require('../formulas');
+const { activeStandingsStages } = require('./standings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+
+const dayOf = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Record `board` ({ formula, season }) in points order as the snapshot for
+// `day`, replacing an earlier one from the same day
+const takeSnapshot = async (board, day) => {
+  const Standing = mongoose.model('Standing');
+  const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot');
+
+  const order = await Standing.aggregate([
+    ...activeStandingsStages(board),
+    { $sort: { points: -1, wins: -1, 'user._id': 1 } },
+    { $project: { user: '$user._id', points: 1, matches: 1, wins: 1 } }
+  ]);
+
+  if (order.length > 0) {
+    await LeaderboardSnapshot.bulkWrite(order.map(({ user, points, matches, wins }, index) => ({
+      updateOne: {
+        filter: { ...board, day, user },
+        update: { $set: { rank: index + 1, players: order.length, points, matches, wins } },
+        upsert: true
+      }
+    })));
+  }
+  await LeaderboardSnapshot.deleteMany({ ...board, day, user: { $nin: order.map(entry => entry.user) } });
+
+  return order.length;
+};
+
+// Snapshot every formula's all-time board and, while a season is running,
+// its season board. Returns the number of players recorded per board.
+const takeSnapshots = async (now = new Date()) => {
+  const season = await mongoose.model('Season').forDate(now);
+  const day = dayOf(now);
+  const taken = {};
+
+  for (const { name: formula } of listFormulas()) {
+    taken[formula] = await takeSnapshot({ formula, season: null }, day);
+    if (season && !season.isArchived()) {
+      taken[`${formula}@${season.name}`] = await takeSnapshot({ formula, season: season._id }, day);
+    }
+  }
+  return taken;
+};
+
+// Rank movement on `board` for players at the ranks in `ranks` (Map of user
+// id -> current board rank, null when unknown): change since yesterday's and
+// last week's snapshot (positive is up) and the best rank reached
+const rankMovement = async (board, ranks, now = new Date()) => {
+  const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot');
+  const users = [...ranks.keys()].map(id => new mongoose.Types.ObjectId(id));
+  const today = dayOf(now);
+  const yesterday = new Date(today.getTime() - DAY_MS);
+  const lastWeek = new Date(today.getTime() - 7 * DAY_MS);
+
+  const [past, peaks] = await Promise.all([
+    LeaderboardSnapshot.find({ ...board, user: { $in: users }, day: { $in: [yesterday, lastWeek] } })
+      .select('user day rank')
+      .lean(),
+    LeaderboardSnapshot.aggregate([
+      { $match: { ...board, user: { $in: users } } },
+      { $group: { _id: '$user', rank: { $min: '$rank' } } }
+    ])
+  ]);
+
+  const rankOn = (userId, day) => {
+    const entry = past.find(snapshot => snapshot.user.toString() === userId && snapshot.day.getTime() === day.getTime());
+    return entry ? entry.rank : null;
+  };
+  const peakOf = new Map(peaks.map(peak => [peak._id.toString(), peak.rank]));
+
+  return new Map([...ranks].map(([userId, rank]) => {
+    const change = previous => rank !== null && previous !== null ? previous - rank : null;
+    const peaked = [rank, peakOf.get(userId)].filter(value => value !== null && value !== undefined);
+
+    return [userId, {
+      rankChange: {
+        day: change(rankOn(userId, yesterday)),
+        week: change(rankOn(userId, lastWeek))
+      },
+      peakRank: peaked.length > 0 ? Math.min(...peaked) : null
+    }];
+  }));
+};
+
+// A player's daily ranks on `board` over the last `days` days, oldest first
+const loadRankHistory = (userId, board, days, now = new Date()) =>
+  mongoose.model('LeaderboardSnapshot').find({
+    ...board,
+    user: userId,
+    day: { $gt: new Date(dayOf(now).getTime() - days * DAY_MS) }
+  })
+    .sort({ day: 1 })
+    .select('day rank players points matches wins')
+    .lean();
+
+// Run takeSnapshots now and then periodically for the life of the process
+const scheduleSnapshots = () => {
+  const run = () => takeSnapshots()
+    .catch(error => console.error('Leaderboard snapshot error:', error));
+
+  run();
+  setInterval(run, SNAPSHOT_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  takeSnapshots,
+  rankMovement,
+  loadRankHistory,
+  scheduleSnapshots
+};
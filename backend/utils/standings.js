@@ -0,0 +1,93 @@
+// Live per-formula standings
+//
+// Each points formula is its own ladder, so a player has one standing per
+// formula over all time and one per formula in every running season. They
+// are folded from the user's formula rollups whenever their stats update;
+// archived seasons keep the standings archiveSeason froze.
+
+const mongoose = require('mongoose');
+
+// Standings for the user's matches: Map of JSON [formula, season id or null]
+// -> { formula, season, points, peakPoints, matches, wins, losses }
+const foldStandings = (rollups, archived) => {
+  const standings = new Map();
+
+  const add = (formula, season, rollup) => {
+    const key = JSON.stringify([formula, season]);
+    const standing = standings.get(key) || { formula, season, matches: 0, wins: 0, peakPoints: -Infinity };
+
+    standing.matches += rollup.matches;
+    standing.wins += rollup.wins;
+    standing.losses = standing.matches - standing.wins;
+    standing.points = rollup.lastPoints;
+    standing.peakPoints = Math.max(standing.peakPoints, rollup.peakPoints);
+    standings.set(key, standing);
+  };
+
+  rollups.forEach(rollup => {
+    add(rollup.formula, null, rollup);
+    if (rollup.season && !archived.has(rollup.season.toString())) {
+      add(rollup.formula, rollup.season.toString(), rollup);
+    }
+  });
+  return standings;
+};
+
+// Rewrite the user's live standings from their formula rollups. Returns the
+// all-time standings by formula name.
+const refreshStandings = async (userId) => {
+  const Rollup = mongoose.model('Rollup');
+  const Standing = mongoose.model('Standing');
+  const Season = mongoose.model('Season');
+  const user = new mongoose.Types.ObjectId(userId.toString());
+
+  const [rollups, archivedIds] = await Promise.all([
+    Rollup.find({ user, kind: 'formula' }).sort({ lastPlayedAt: 1 }).lean(),
+    Season.distinct('_id', { archivedAt: { $ne: null } })
+  ]);
+  const standings = foldStandings(rollups, new Set(archivedIds.map(String)));
+
+  // Live standings are the all-time ones and those of seasons still running
+  const existing = await Standing.find({ user, season: { $nin: archivedIds } }).select('formula season').lean();
+  const stale = existing.filter(standing =>
+    !standings.has(JSON.stringify([standing.formula, standing.season ? standing.season.toString() : null]))
+  );
+
+  if (standings.size > 0) {
+    await Standing.bulkWrite([...standings.values()].map(({ formula, season, ...totals }) => ({
+      updateOne: {
+        filter: { user, formula, season },
+        update: { $set: totals },
+        upsert: true
+      }
+    })));
+  }
+  if (stale.length > 0) {
+    await Standing.deleteMany({ _id: { $in: stale.map(standing => standing._id) } });
+  }
+
+  return new Map([...standings.values()]
+    .filter(standing => standing.season === null)
+    .map(standing => [standing.formula, standing]));
+};
+
+// Aggregation stages for the standings matching `match` that belong to
+// active players, with the player joined in as `user`
+const activeStandingsStages = (match) => [
+  { $match: { matches: { $gt: 0 }, ...match } },
+  {
+    $lookup: {
+      from: mongoose.model('User').collection.name,
+      localField: 'user',
+      foreignField: '_id',
+      as: 'user'
+    }
+  },
+  { $unwind: '$user' },
+  { $match: { 'user.isActive': true } }
+];
+
+module.exports = {
+  refreshStandings,
+  activeStandingsStages
+};
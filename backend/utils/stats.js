@@ -0,0 +1,234 @@
+// Win rate statistics shared by every endpoint that reports one
+//
+// A bare percentage hides how much data is behind it: 2-0 is "100%". Every
+// win rate therefore comes with an interval and its sample size, either a
+// Wilson score interval or a Bayesian credible interval from a Beta
+// posterior. Rates are percentages with one decimal, like the rates
+// themselves.
+
+const INTERVAL_METHODS = ['wilson', 'bayes'];
+const RANK_BY = ['usage', 'winRate', 'lowerBound'];
+const DEFAULT_LEVEL = 0.95;
+
+// Uniform Beta(1, 1) prior: one phantom win and one phantom loss
+const DEFAULT_PRIOR = [1, 1];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+const rate = (wins, total) => total > 0 ? round1((wins / total) * 100) : 0;
+
+// Inverse of the standard normal CDF (Acklam's rational approximation)
+const normalQuantile = (p) => {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = Math.min(p, 1 - p);
+
+  if (tail < 0.02425) {
+    const q = Math.sqrt(-2 * Math.log(tail));
+    const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < 0.5 ? x : -x;
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// ln Γ(x) (Lanczos approximation)
+const logGamma = (x) => {
+  const g = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = g.reduce((sum, coefficient, i) => sum + coefficient / (x + 1 + i), 1.000000000190015);
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+};
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+const betaFraction = (x, a, b) => {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < TINY ? TINY : d);
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / (Math.abs(1 + even * d) < TINY ? TINY : 1 + even * d);
+    c = Math.abs(1 + even / c) < TINY ? TINY : 1 + even / c;
+    result *= d * c;
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / (Math.abs(1 + odd * d) < TINY ? TINY : 1 + odd * d);
+    c = Math.abs(1 + odd / c) < TINY ? TINY : 1 + odd / c;
+    const step = d * c;
+    result *= step;
+
+    if (Math.abs(step - 1) < 1e-12) break;
+  }
+  return result;
+};
+
+// Regularized incomplete beta I_x(a, b), the Beta(a, b) CDF
+const betaCdf = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaFraction(x, a, b) / a
+    : 1 - front * betaFraction(1 - x, b, a) / b;
+};
+
+// Beta(a, b) quantile by bisection on the CDF
+const betaQuantile = (p, a, b) => {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (betaCdf(mid, a, b) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// Wilson score interval as fractions
+const wilsonInterval = (wins, total, level = DEFAULT_LEVEL) => {
+  if (total <= 0) return [0, 1];
+
+  const z = normalQuantile(1 - (1 - level) / 2);
+  const p = wins / total;
+  const z2n = z * z / total;
+  const centre = p + z2n / 2;
+  const margin = z * Math.sqrt(p * (1 - p) / total + z2n / (4 * total));
+  return [
+    Math.max((centre - margin) / (1 + z2n), 0),
+    Math.min((centre + margin) / (1 + z2n), 1)
+  ];
+};
+
+// Equal-tailed credible interval of the Beta posterior as fractions
+const bayesianInterval = (wins, total, level = DEFAULT_LEVEL, prior = DEFAULT_PRIOR) => {
+  const a = prior[0] + wins;
+  const b = prior[1] + Math.max(total - wins, 0);
+  return [betaQuantile((1 - level) / 2, a, b), betaQuantile(1 - (1 - level) / 2, a, b)];
+};
+
+// { low, high, sample } in percent for `wins` out of `total`
+const winRateInterval = (wins, total, { method = 'wilson', level = DEFAULT_LEVEL, prior } = {}) => {
+  const [low, high] = method === 'bayes'
+    ? bayesianInterval(wins, total, level, prior)
+    : wilsonInterval(wins, total, level);
+
+  return {
+    low: round1(low * 100),
+    high: round1(high * 100),
+    sample: total
+  };
+};
+
+// Posterior mean win rate in percent, pulled toward 50% on small samples
+const shrunkRate = (wins, total, prior = DEFAULT_PRIOR) =>
+  round1(((wins + prior[0]) / (total + prior[0] + prior[1])) * 100);
+
+// Add `winRate` and `winRateInterval` to a row from its win and total counters
+const withWinRate = (row, { wins = 'wins', total = 'matches', field = 'winRate', ...options } = {}) => ({
+  ...row,
+  [field]: rate(row[wins] || 0, row[total] || 0),
+  [`${field}Interval`]: winRateInterval(row[wins] || 0, row[total] || 0, options)
+});
+
+// Sort rows by usage, win rate, or the interval's lower bound (so a 2-0 no
+// longer outranks 60-40). Ties go to the larger sample.
+const rankRows = (rows, { rankBy = 'usage', field = 'winRate', total = 'matches' } = {}) => {
+  const interval = `${field}Interval`;
+  const score = {
+    usage: row => row[total],
+    winRate: row => row[field],
+    lowerBound: row => row[interval].low
+  }[rankBy];
+
+  return [...rows].sort((a, b) => score(b) - score(a) || b[total] - a[total]);
+};
+
+// Aggregation expression for the Wilson lower bound (as a fraction), for
+// ranking in the database where the Beta quantile isn't available
+const wilsonLowerBoundExpression = (wins, total, level = DEFAULT_LEVEL) => {
+  const z = normalQuantile(1 - (1 - level) / 2);
+  const z2 = z * z;
+  const p = { $divide: [wins, total] };
+
+  return {
+    $cond: [
+      { $gt: [total, 0] },
+      {
+        $divide: [
+          {
+            $subtract: [
+              { $add: [p, { $divide: [z2 / 2, total] }] },
+              {
+                $multiply: [z, {
+                  $sqrt: {
+                    $add: [
+                      { $divide: [{ $multiply: [p, { $subtract: [1, p] }] }, total] },
+                      { $divide: [z2 / 4, { $multiply: [total, total] }] }
+                    ]
+                  }
+                }]
+              }
+            ]
+          },
+          { $add: [1, { $divide: [z2, total] }] }
+        ]
+      },
+      0
+    ]
+  };
+};
+
+// ?interval=wilson|bayes&level=0.9&rankBy=... where rankBy is one of
+// `rankChoices`, the first being the default. Returns { options, errors }.
+const readRateQuery = (query, rankChoices = RANK_BY) => {
+  const { interval = 'wilson', level, rankBy = rankChoices[0] } = query;
+  const errors = [];
+  const options = { method: interval, level: DEFAULT_LEVEL, rankBy };
+
+  if (!INTERVAL_METHODS.includes(interval)) {
+    errors.push(`interval must be one of ${INTERVAL_METHODS.join(', ')}`);
+  }
+  if (level !== undefined) {
+    options.level = Number(level);
+    if (!(options.level >= 0.5 && options.level < 1)) {
+      errors.push('level must be between 0.5 and 1');
+    }
+  }
+  if (!rankChoices.includes(rankBy)) {
+    errors.push(`rankBy must be one of ${rankChoices.join(', ')}`);
+  }
+
+  return { options, errors };
+};
+
+module.exports = {
+  INTERVAL_METHODS,
+  RANK_BY,
+  DEFAULT_LEVEL,
+  DEFAULT_PRIOR,
+  rate,
+  normalQuantile,
+  betaCdf,
+  betaQuantile,
+  wilsonInterval,
+  bayesianInterval,
+  winRateInterval,
+  shrunkRate,
+  withWinRate,
+  rankRows,
+  wilsonLowerBoundExpression,
+  readRateQuery
+};
@@ -0,0 +1,169 @@
+// Streak, tilt and fatigue analytics over matches in play order
+//
+// A play block is a run of matches with less than `blockGapMs` between one
+// match and the next; the position inside a block shows how results change
+// the longer someone keeps playing.
+
+const { rate, winRateInterval } = require('./stats');
+
+const DEFAULT_BLOCK_GAP_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_LOSSES = 5;
+const DEFAULT_MAX_BLOCK_POSITION = 10;
+
+// Current, longest winning and longest losing streak of a result sequence
+const streakSummary = (results) => {
+  let longestWin = 0;
+  let longestLoss = 0;
+  let length = 0;
+  let type = null;
+
+  results.forEach(result => {
+    length = result === type ? length + 1 : 1;
+    type = result;
+    if (type === 'Win') longestWin = Math.max(longestWin, length);
+    else longestLoss = Math.max(longestLoss, length);
+  });
+
+  return {
+    matches: results.length,
+    current: { type, length },
+    longestWin,
+    longestLoss
+  };
+};
+
+// Split matches (in play order) into play blocks
+const playBlocks = (matches, blockGapMs = DEFAULT_BLOCK_GAP_MS) => matches.reduce((blocks, match, i) => {
+  const previous = matches[i - 1];
+  if (!previous || new Date(match.createdAt) - new Date(previous.createdAt) >= blockGapMs) {
+    blocks.push([]);
+  }
+  blocks[blocks.length - 1].push(match);
+  return blocks;
+}, []);
+
+// Win rate of matches played right after at least N straight losses, for
+// N = 1..maxLosses
+const winRateAfterLosses = (results, maxLosses = DEFAULT_MAX_LOSSES) => {
+  const buckets = Array.from({ length: maxLosses }, (_, i) => ({ losses: i + 1, matches: 0, wins: 0 }));
+  let lossRun = 0;
+
+  results.forEach(result => {
+    buckets.slice(0, Math.min(lossRun, maxLosses)).forEach(bucket => {
+      bucket.matches += 1;
+      if (result === 'Win') bucket.wins += 1;
+    });
+    lossRun = result === 'Loss' ? lossRun + 1 : 0;
+  });
+
+  return buckets.map(bucket => ({
+    ...bucket,
+    winRate: rate(bucket.wins, bucket.matches),
+    winRateInterval: winRateInterval(bucket.wins, bucket.matches)
+  }));
+};
+
+// Win rate by match number inside a play block; the last position also
+// counts every later match
+const winRateByBlockPosition = (blocks, maxPosition = DEFAULT_MAX_BLOCK_POSITION) => {
+  const positions = Array.from({ length: maxPosition }, (_, i) => ({
+    game: i + 1,
+    andLater: i + 1 === maxPosition,
+    matches: 0,
+    wins: 0
+  }));
+
+  blocks.forEach(block => block.forEach((match, i) => {
+    const position = positions[Math.min(i, maxPosition - 1)];
+    position.matches += 1;
+    if (match.result === 'Win') position.wins += 1;
+  }));
+
+  return positions
+    .filter(position => position.matches > 0)
+    .map(({ andLater, ...position }) => ({
+      ...position,
+      ...(andLater && { andLater }),
+      winRate: rate(position.wins, position.matches),
+      winRateInterval: winRateInterval(position.wins, position.matches)
+    }));
+};
+
+// Streak summaries per value of `keyOf(match)`, in order of first appearance
+const streaksBy = (matches, keyOf) => {
+  const groups = new Map();
+  matches.forEach(match => {
+    const key = keyOf(match);
+    if (key === undefined || key === null) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(match.result);
+  });
+  return [...groups.entries()].map(([key, results]) => ({ key, ...streakSummary(results) }));
+};
+
+// Full analytics for matches in play order. `warnings` flags tilt (the
+// player is on a losing run that historically hurts their win rate) and
+// fatigue (the current block has reached positions where they win less).
+const analyzeStreaks = (matches, {
+  blockGapMs = DEFAULT_BLOCK_GAP_MS,
+  maxLosses = DEFAULT_MAX_LOSSES,
+  maxBlockPosition = DEFAULT_MAX_BLOCK_POSITION
+} = {}) => {
+  const results = matches.map(match => match.result);
+  const overall = streakSummary(results);
+  const overallWinRate = rate(results.filter(result => result === 'Win').length, results.length);
+  const blocks = playBlocks(matches, blockGapMs);
+  const afterLosses = winRateAfterLosses(results, maxLosses);
+  const byBlockPosition = winRateByBlockPosition(blocks, maxBlockPosition);
+
+  const warnings = [];
+  const lossRun = overall.current.type === 'Loss' ? overall.current.length : 0;
+  const tilt = lossRun > 0 && afterLosses[Math.min(lossRun, maxLosses) - 1];
+  if (tilt && tilt.matches > 0 && tilt.winRate < overallWinRate) {
+    warnings.push({
+      type: 'tilt',
+      losses: lossRun,
+      winRate: tilt.winRate,
+      winRateInterval: tilt.winRateInterval,
+      overallWinRate
+    });
+  }
+
+  const currentBlock = blocks[blocks.length - 1] || [];
+  const lastMatch = matches[matches.length - 1];
+  const blockOpen = lastMatch && Date.now() - new Date(lastMatch.createdAt) < blockGapMs;
+  const next = byBlockPosition.find(position =>
+    position.game === Math.min(currentBlock.length + 1, maxBlockPosition)
+  );
+  if (blockOpen && next && next.winRate < overallWinRate) {
+    warnings.push({
+      type: 'fatigue',
+      game: currentBlock.length + 1,
+      winRate: next.winRate,
+      winRateInterval: next.winRateInterval,
+      overallWinRate
+    });
+  }
+
+  return {
+    overall: { ...overall, winRate: overallWinRate },
+    blocks: {
+      count: blocks.length,
+      averageLength: blocks.length > 0 ? Math.round((matches.length / blocks.length) * 10) / 10 : 0,
+      current: blockOpen ? currentBlock.length : 0
+    },
+    afterLosses,
+    byBlockPosition,
+    warnings
+  };
+};
+
+module.exports = {
+  DEFAULT_BLOCK_GAP_MS,
+  streakSummary,
+  playBlocks,
+  winRateAfterLosses,
+  winRateByBlockPosition,
+  streaksBy,
+  analyzeStreaks
+};
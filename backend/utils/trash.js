@@ -0,0 +1,62 @@
+// Trash retention: soft-deleted sessions, matches and decklists are purged
+// for good once they have been in the trash longer than the retention period
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Permanently delete trashed items deleted on or before `before` (default:
+// the retention cutoff), optionally only those belonging to `user`
+const purgeTrash = async ({ before, user } = {}) => {
+  const Session = mongoose.model('Session');
+  const Match = mongoose.model('Match');
+  const DeckList = mongoose.model('DeckList');
+  const MatchChange = mongoose.model('MatchChange');
+  const Goal = mongoose.model('Goal');
+  const cutoff = before || new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const filter = { deletedAt: { $ne: null, $lte: cutoff } };
+  if (user) filter.user = user;
+
+  const expiredSessions = await Session.distinct('_id', filter);
+
+  // A purged session takes all of its matches with it, trashed or not, along
+  // with its change log and goals
+  const [sessionMatches, matches, sessions, decklists] = await Promise.all([
+    Match.deleteMany({ session: { $in: expiredSessions } }),
+    Match.deleteMany(filter),
+    Session.deleteMany({ _id: { $in: expiredSessions } }),
+    DeckList.deleteMany(filter)
+  ]);
+  await Promise.all([
+    MatchChange.deleteMany({ session: { $in: expiredSessions } }),
+    Goal.deleteMany({ session: { $in: expiredSessions } })
+  ]);
+
+  return {
+    sessions: sessions.deletedCount,
+    matches: sessionMatches.deletedCount + matches.deletedCount,
+    decklists: decklists.deletedCount
+  };
+};
+
+// Run purgeTrash now and then periodically for the life of the process
+const scheduleTrashPurge = () => {
+  const run = () => purgeTrash()
+    .then(purged => {
+      if (Object.values(purged).some(count => count > 0)) console.log('Trash purged:', purged);
+    })
+    .catch(error => console.error('Trash purge error:', error));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeDate,
+  purgeTrash,
+  scheduleTrashPurge
+};